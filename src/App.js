@@ -9,6 +9,8 @@ import './i18n';
 import { AuthProvider } from './context/AuthContext';
 import { CategoriesProvider } from './context/CategoriesContext';
 import { BooksProvider } from './context/BooksContext';
+import { SearchHistoryProvider } from './context/SearchHistoryContext';
+import { FollowsProvider } from './context/FollowsContext';
 
 // Layout Components
 import Header from './components/layout/Header';
@@ -137,6 +139,14 @@ const AppRouter = () => {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/library/book/:bookId"
+        element={
+          <ProtectedRoute>
+            <UserBookDetailPage />
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/import"
         element={
@@ -158,9 +168,13 @@ function App() {
       <AuthProvider>
         <CategoriesProvider>
           <BooksProvider>
-            <AppLayout>
-              <AppRouter />
-            </AppLayout>
+            <SearchHistoryProvider>
+              <FollowsProvider>
+                <AppLayout>
+                  <AppRouter />
+                </AppLayout>
+              </FollowsProvider>
+            </SearchHistoryProvider>
           </BooksProvider>
         </CategoriesProvider>
       </AuthProvider>
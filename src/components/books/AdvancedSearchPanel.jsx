@@ -0,0 +1,114 @@
+import React from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Search, X } from 'lucide-react';
+import { isAdvancedQueryEmpty } from '../../utils/advancedQuery';
+
+const TEXT_FIELDS = [
+  { name: 'title', label: 'Título', placeholder: 'Cien años de soledad' },
+  { name: 'author', label: 'Autor', placeholder: 'Gabriel García Márquez' },
+  { name: 'subject', label: 'Tema', placeholder: 'realismo mágico' },
+  { name: 'publisher', label: 'Editorial', placeholder: 'Cátedra' },
+  { name: 'isbn', label: 'ISBN', placeholder: '978-84-376-0494-7' }
+];
+
+// Form for a structured query; every filled field must match.
+// `text` is the free-text query typed in the main search box.
+const AdvancedSearchPanel = ({ value = {}, text = '', onChange, onSubmit, onClear, isLoading = false }) => {
+  const setField = (field, fieldValue) => {
+    onChange({ ...value, [field]: fieldValue });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(value);
+  };
+
+  const canSearch = !isAdvancedQueryEmpty({ ...value, text });
+
+  return (
+    <Card>
+      <CardHeader className="pb-4">
+        <CardTitle className="text-lg">Búsqueda avanzada</CardTitle>
+        <p className="text-sm text-muted-foreground">
+          Se mostrarán los libros que cumplan todos los campos rellenados.
+        </p>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid gap-4 md:grid-cols-2">
+            {TEXT_FIELDS.map(field => (
+              <div key={field.name} className="space-y-2">
+                <Label htmlFor={`advanced-${field.name}`}>{field.label}</Label>
+                <Input
+                  id={`advanced-${field.name}`}
+                  placeholder={field.placeholder}
+                  value={value[field.name] || ''}
+                  onChange={(e) => setField(field.name, e.target.value)}
+                />
+              </div>
+            ))}
+
+            <div className="space-y-2">
+              <Label htmlFor="advanced-language">Idioma</Label>
+              <Select
+                value={value.language || 'default'}
+                onValueChange={(language) => setField('language', language === 'default' ? '' : language)}
+              >
+                <SelectTrigger id="advanced-language">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="default">Como en los filtros</SelectItem>
+                  <SelectItem value="any">Cualquier idioma</SelectItem>
+                  <SelectItem value="es">Español</SelectItem>
+                  <SelectItem value="en">Inglés</SelectItem>
+                  <SelectItem value="fr">Francés</SelectItem>
+                  <SelectItem value="de">Alemán</SelectItem>
+                  <SelectItem value="it">Italiano</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="advanced-year-from">Publicado entre</Label>
+              <div className="flex items-center gap-2">
+                <Input
+                  id="advanced-year-from"
+                  type="number"
+                  placeholder="Desde"
+                  value={value.yearFrom || ''}
+                  onChange={(e) => setField('yearFrom', e.target.value)}
+                />
+                <span className="text-muted-foreground">–</span>
+                <Input
+                  id="advanced-year-to"
+                  type="number"
+                  placeholder="Hasta"
+                  value={value.yearTo || ''}
+                  onChange={(e) => setField('yearTo', e.target.value)}
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <Button type="button" variant="outline" onClick={onClear}>
+              <X className="mr-2 h-4 w-4" />
+              Limpiar
+            </Button>
+            <Button type="submit" disabled={!canSearch || isLoading}>
+              <Search className="mr-2 h-4 w-4" />
+              Buscar
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AdvancedSearchPanel;
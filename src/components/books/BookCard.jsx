@@ -7,45 +7,62 @@ import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from
 import { Textarea } from '../ui/textarea';
 import { Label } from '../ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
-import { Star, BookOpen, Plus, MoreVertical, Heart, Eye, Clock, CheckCircle } from 'lucide-react';
+import { Star, BookOpen, Plus, MoreVertical, Heart, Eye, Clock, CheckCircle, Sparkles } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { useBooks } from '../../context/BooksContext';
 import { useCategories } from '../../context/CategoriesContext';
+import EditionSelect, { getEditionKey } from './EditionSelect';
 import imageCache from '../../utils/imageCache';
+import bookService from '../../services/BookService';
 import { cn } from '../../lib/utils';
 
-const BookCard = ({ book, variant = 'search', onAddToLibrary, onViewDetails, className }) => {
+// Short text for each reason a personalized search ranked the book high
+const RANKING_REASON_LABELS = {
+  author: (value) => `Lees a ${value}`,
+  genre: (value) => `Te interesa ${value}`,
+  language: (value) => `En ${value.toUpperCase()}, como tus libros`,
+  decade: (value) => `De los ${value}, como tus libros`
+};
+
+// rankingReasons: why a personalized search ranked the book high
+// (see RecommendationService.rankSearchResults)
+const BookCard = ({ book, variant = 'search', onAddToLibrary, onViewDetails, className, rankingReasons = [] }) => {
   const { isAuthenticated } = useAuth();
-  const { addBookToLibrary, userBooks, moveBookToCategory, updateBookNotes } = useBooks();
+  const { addBookToLibrary, findBookInLibrary, moveBookToCategory, updateBookNotes } = useBooks();
   const { categories } = useCategories();
   const [imageUrl, setImageUrl] = useState(null);
   const [isAddDialogOpen, setIsAddDialogOpen] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState('to-read');
   const [notes, setNotes] = useState('');
+  const [selectedEdition, setSelectedEdition] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
   // Check if book is already in user library
-  const userBook = userBooks.find(ub => 
-    ub.id === `${book.source}_${book.id}` || 
-    (ub.isbn && book.isbn && ub.isbn === book.isbn) ||
-    (ub.title === book.title && ub.authors?.[0] === book.authors?.[0])
-  );
+  const userBook = findBookInLibrary(book);
 
   const isInLibrary = Boolean(userBook);
 
   // Load cached image
   useEffect(() => {
+    // Windowed lists unmount cards that scroll out of view
+    let isCancelled = false;
+
     const loadImage = async () => {
       const url = imageCache.getOptimizedImageUrl(book.imageLinks, 'small');
       if (url) {
         const cachedUrl = await imageCache.getCachedImage(url);
-        setImageUrl(cachedUrl);
+        if (!isCancelled) {
+          setImageUrl(cachedUrl);
+        }
       } else {
         setImageUrl(imageCache.getPlaceholderImage());
       }
     };
 
     loadImage();
+    return () => {
+      isCancelled = true;
+    };
   }, [book.imageLinks]);
 
   const handleAddToLibrary = async () => {
@@ -56,7 +73,11 @@ const BookCard = ({ book, variant = 'search', onAddToLibrary, onViewDetails, cla
 
     setIsLoading(true);
     try {
-      const result = await addBookToLibrary(book, selectedCategory, notes);
+      const result = await addBookToLibrary(
+        bookService.selectEdition(book, selectedEdition),
+        selectedCategory,
+        notes
+      );
       if (result.success) {
         setIsAddDialogOpen(false);
         setNotes('');
@@ -206,6 +227,23 @@ const BookCard = ({ book, variant = 'search', onAddToLibrary, onViewDetails, cla
                     </Badge>
                   )}
                 </div>
+
+                {/* Personalized Ranking */}
+                {rankingReasons.length > 0 && (
+                  <p className="flex items-center gap-1 text-xs text-primary mt-1" title="Por qué aparece arriba">
+                    <Sparkles className="h-3 w-3 shrink-0" />
+                    <span className="truncate">
+                      {rankingReasons.slice(0, 2).map(reason => RANKING_REASON_LABELS[reason.type](reason.value)).join(' · ')}
+                    </span>
+                  </p>
+                )}
+
+                {/* Sources (merged results) */}
+                {book.sources?.length > 0 && (
+                  <p className="text-xs text-muted-foreground mt-1">
+                    Fuentes: {book.sources.map(source => bookService.getSourceLabel(source)).join(' · ')}
+                  </p>
+                )}
               </div>
 
               {/* Action Menu */}
@@ -314,6 +352,12 @@ const BookCard = ({ book, variant = 'search', onAddToLibrary, onViewDetails, cla
               </Select>
             </div>
 
+            <EditionSelect
+              editions={book.editions}
+              value={selectedEdition ? getEditionKey(selectedEdition) : ''}
+              onChange={setSelectedEdition}
+            />
+
             <div className="space-y-2">
               <Label htmlFor="notes">Notas (opcional)</Label>
               <Textarea
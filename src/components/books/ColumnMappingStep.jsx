@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Alert, AlertDescription } from '../ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { AlertCircle, Save, Trash2, Upload } from 'lucide-react';
+import { IMPORT_FIELDS } from '../../utils/excelProcessor';
+import { useImportProfiles, applyImportProfile } from '../../hooks/use-import-profiles';
+import { useToast } from '../../hooks/use-toast';
+
+const FIELD_LABELS = {
+  title: 'Título',
+  authors: 'Autor',
+  description: 'Descripción',
+  category: 'Categoría',
+  publisher: 'Editorial',
+  publishedDate: 'Fecha de publicación',
+  pageCount: 'Páginas',
+  isbn: 'ISBN',
+  language: 'Idioma',
+  rating: 'Valoración',
+  notes: 'Notas',
+  review: 'Reseña',
+  progress: 'Progreso',
+  tags: 'Etiquetas'
+};
+
+// Select value of an ignored column (Radix selects do not take '')
+const IGNORE = 'ignore';
+
+const SAMPLE_ROWS = 20;
+
+// First value of a column in the first rows, as an example
+const getSample = (rows, index) => rows
+  .slice(0, SAMPLE_ROWS)
+  .map(row => row.values[index])
+  .find(value => value) || '';
+
+// Mapping step of the import: each column of the file can be imported as a
+// book field or ignored, starting from the guess made from its name. The
+// mapping can be saved as a named profile and applied to later files.
+const ColumnMappingStep = ({ table, mapping, onMappingChange, onImport, onCancel, isProcessing }) => {
+  const { toast } = useToast();
+  const { profiles, saveProfile, deleteProfile } = useImportProfiles();
+  const [profileId, setProfileId] = useState('');
+  const [profileName, setProfileName] = useState('');
+
+  const selectedProfile = profiles.find(profile => profile.id === profileId);
+  const hasTitle = mapping.includes('title');
+
+  const setField = (index, field) => {
+    onMappingChange(mapping.map((current, i) => (i === index ? (field === IGNORE ? null : field) : current)));
+  };
+
+  const handleApplyProfile = (id) => {
+    const profile = profiles.find(item => item.id === id);
+    if (!profile) return;
+
+    setProfileId(id);
+    setProfileName(profile.name);
+    onMappingChange(applyImportProfile(profile, table.columns, table.mapping));
+  };
+
+  const handleSaveProfile = async () => {
+    const result = await saveProfile(profileName, table.columns, mapping);
+    if (!result.success) {
+      toast({ title: 'No se ha podido guardar el perfil', description: result.error, variant: 'destructive' });
+      return;
+    }
+
+    setProfileId(result.profile.id);
+    toast({ title: 'Perfil guardado', description: `"${result.profile.name}" estará disponible en tus próximas importaciones.` });
+  };
+
+  const handleDeleteProfile = async () => {
+    if (!selectedProfile) return;
+
+    const result = await deleteProfile(selectedProfile.id);
+    if (result.success) {
+      setProfileId('');
+      setProfileName('');
+    }
+  };
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle>Asignar Columnas</CardTitle>
+        <CardDescription>
+          Elige qué campo del libro contiene cada columna. {table.rows.length} {table.rows.length === 1 ? 'fila encontrada' : 'filas encontradas'}.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {/* Profiles */}
+        <div className="grid gap-4 md:grid-cols-2">
+          <div className="space-y-2">
+            <Label htmlFor="mapping-profile">Perfil guardado</Label>
+            <div className="flex gap-2">
+              <Select value={profileId} onValueChange={handleApplyProfile} disabled={profiles.length === 0}>
+                <SelectTrigger id="mapping-profile">
+                  <SelectValue placeholder={profiles.length === 0 ? 'No tienes perfiles guardados' : 'Aplicar un perfil'} />
+                </SelectTrigger>
+                <SelectContent>
+                  {profiles.map(profile => (
+                    <SelectItem key={profile.id} value={profile.id}>{profile.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {selectedProfile && (
+                <Button
+                  variant="outline"
+                  size="icon"
+                  onClick={handleDeleteProfile}
+                  aria-label={`Eliminar el perfil ${selectedProfile.name}`}
+                  title="Eliminar perfil"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              )}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="mapping-profile-name">Guardar asignación como</Label>
+            <div className="flex gap-2">
+              <Input
+                id="mapping-profile-name"
+                value={profileName}
+                onChange={(e) => setProfileName(e.target.value)}
+                placeholder="Ej.: Exportación de mi hoja de lecturas"
+              />
+              <Button variant="outline" onClick={handleSaveProfile} disabled={!profileName.trim()}>
+                <Save className="mr-2 h-4 w-4" />
+                Guardar
+              </Button>
+            </div>
+          </div>
+        </div>
+
+        {/* Columns */}
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left p-2 font-medium">Columna</th>
+                <th className="text-left p-2 font-medium">Ejemplo</th>
+                <th className="text-left p-2 font-medium">Importar como</th>
+              </tr>
+            </thead>
+            <tbody>
+              {table.columns.map((column, index) => (
+                <tr key={index} className="border-b">
+                  <td className="p-2 font-medium">{column || `Columna ${index + 1}`}</td>
+                  <td className="p-2 text-muted-foreground max-w-xs truncate">{getSample(table.rows, index)}</td>
+                  <td className="p-2 w-56">
+                    <Select value={mapping[index] || IGNORE} onValueChange={(field) => setField(index, field)}>
+                      <SelectTrigger aria-label={`Campo de la columna ${column || index + 1}`}>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={IGNORE}>Ignorar columna</SelectItem>
+                        {IMPORT_FIELDS.map(field => (
+                          <SelectItem key={field} value={field}>{FIELD_LABELS[field]}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {!hasTitle && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>Asigna una columna al título para poder importar.</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="flex justify-end space-x-2">
+          <Button variant="outline" onClick={onCancel} disabled={isProcessing}>
+            Cancelar
+          </Button>
+          <Button onClick={onImport} disabled={!hasTitle || isProcessing}>
+            <Upload className="mr-2 h-4 w-4" />
+            Importar Libros
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ColumnMappingStep;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { Label } from '../ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+
+export const getEditionKey = (edition) => `${edition.source}:${edition.id}`;
+
+// One-line summary of an edition: year · publisher · format · language · ISBN
+export const formatEdition = (edition) => {
+  return [
+    edition.year,
+    edition.publisher,
+    edition.format,
+    edition.language && edition.language.toUpperCase(),
+    edition.isbn && `ISBN ${edition.isbn}`
+  ].filter(Boolean).join(' · ') || edition.title || edition.id;
+};
+
+const EditionSelect = ({ editions = [], value, onChange }) => {
+  const { t } = useTranslation();
+
+  if (editions.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-2">
+      <Label htmlFor="edition">{t('books.editions.select', 'Edition you own')}</Label>
+      <Select
+        value={value || ''}
+        onValueChange={(key) => onChange(editions.find(edition => getEditionKey(edition) === key))}
+      >
+        <SelectTrigger id="edition">
+          <SelectValue placeholder={t('books.editions.any', 'Any edition')} />
+        </SelectTrigger>
+        <SelectContent>
+          {editions.map((edition) => (
+            <SelectItem key={getEditionKey(edition)} value={getEditionKey(edition)}>
+              {formatEdition(edition)}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+};
+
+export default EditionSelect;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import bookService from '../../services/BookService';
+
+// Sources other than the book's own that filled some of its fields
+export const getEnrichmentSources = (book) => {
+  const sources = Object.values(book?.provenance || {})
+    .map(entry => entry.source)
+    .filter(source => source && source !== book.source);
+  return [...new Set(sources)];
+};
+
+// "via Open Library" next to a value that was filled from another source
+const FieldSource = ({ book, field, className = '' }) => {
+  const { t } = useTranslation();
+  const entry = book?.provenance?.[field];
+
+  if (!entry || entry.source === book.source) {
+    return null;
+  }
+
+  const label = bookService.getSourceLabel(entry.source);
+  const title = entry.match === 'title'
+    ? t('books.enrichment.matchedByTitle', 'Matched by title and author')
+    : t('books.enrichment.matchedByIsbn', 'Matched by ISBN');
+
+  return (
+    <span className={`text-xs text-muted-foreground ${className}`} title={title}>
+      {t('books.enrichment.via', 'via {{source}}', { source: label })}
+    </span>
+  );
+};
+
+export default FieldSource;
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Button } from '../ui/button';
+import { Bell, BellOff } from 'lucide-react';
+import { useFollows } from '../../context/FollowsContext';
+import { useToast } from '../../hooks/use-toast';
+
+// Follow or unfollow an author or subject to hear about its new releases
+const FollowButton = ({ type, value, size = 'sm', className = 'h-7 px-2' }) => {
+  const { t } = useTranslation();
+  const { toast } = useToast();
+  const { follow, unfollow, findFollow } = useFollows();
+  const [isSaving, setIsSaving] = useState(false);
+
+  const existing = findFollow(type, value);
+
+  const handleClick = async () => {
+    setIsSaving(true);
+    const result = existing ? await unfollow(existing.id) : await follow(type, value);
+    setIsSaving(false);
+
+    if (!result.success) {
+      toast({
+        title: t('follows.error', 'Could not update your follows'),
+        description: result.error,
+        variant: 'destructive'
+      });
+    } else if (!existing) {
+      toast({
+        title: t('follows.followed', 'Following {{name}}', { name: value }),
+        description: t('follows.followedDesc', 'New releases will show up on your dashboard.')
+      });
+    }
+  };
+
+  const label = existing
+    ? t('follows.unfollow', 'Unfollow {{name}}', { name: value })
+    : t('follows.follow', 'Follow {{name}}', { name: value });
+
+  return (
+    <Button
+      variant={existing ? 'secondary' : 'ghost'}
+      size={size}
+      className={className}
+      onClick={handleClick}
+      disabled={isSaving}
+      aria-label={label}
+      title={label}
+    >
+      {existing ? <BellOff className="h-3 w-3" /> : <Bell className="h-3 w-3" />}
+    </Button>
+  );
+};
+
+export default FollowButton;
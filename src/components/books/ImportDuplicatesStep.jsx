@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Upload } from 'lucide-react';
+
+const ACTIONS = [
+  { value: 'skip', label: 'Omitir', bulkLabel: 'Omitir todos' },
+  { value: 'overwrite', label: 'Sobrescribir', bulkLabel: 'Sobrescribir todos' },
+  { value: 'merge', label: 'Combinar', bulkLabel: 'Combinar todos' }
+];
+
+const ACTION_HELP = {
+  skip: 'no se importa',
+  overwrite: 'los datos del archivo reemplazan a los de tu biblioteca',
+  merge: 'el archivo solo completa lo que le falta al libro y añade sus etiquetas'
+};
+
+const REASON_LABELS = {
+  isbn: 'Mismo ISBN',
+  title: 'Título y autor parecidos'
+};
+
+const formatAuthors = (authors) => (Array.isArray(authors) ? authors.join(', ') : authors) || 'Autor desconocido';
+
+// Import step for the rows that match a book already in the library: each
+// one, or all at once, can be skipped, overwrite the library copy or be
+// merged into it. Nothing is saved until the user confirms.
+const ImportDuplicatesStep = ({ duplicates, totalBooks, onConfirm, onCancel, isProcessing }) => {
+  const [actions, setActions] = useState(() => duplicates.map(() => 'skip'));
+
+  const setAll = (action) => setActions(duplicates.map(() => action));
+  const setAction = (index, action) => setActions(prev => prev.map((current, i) => (i === index ? action : current)));
+
+  const handleConfirm = () => onConfirm(duplicates.map((duplicate, i) => ({
+    index: duplicate.index,
+    bookId: duplicate.book.id,
+    action: actions[i]
+  })));
+
+  const newBooks = totalBooks - duplicates.length;
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle>Libros que ya tienes</CardTitle>
+        <CardDescription>
+          {duplicates.length} {duplicates.length === 1 ? 'libro del archivo ya está' : 'libros del archivo ya están'} en tu biblioteca
+          y {newBooks} {newBooks === 1 ? 'es nuevo' : 'son nuevos'}. Elige qué hacer con cada coincidencia antes de importar.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap gap-2">
+          {ACTIONS.map(action => (
+            <Button
+              key={action.value}
+              variant={actions.every(current => current === action.value) ? 'secondary' : 'outline'}
+              size="sm"
+              onClick={() => setAll(action.value)}
+              disabled={isProcessing}
+            >
+              {action.bulkLabel}
+            </Button>
+          ))}
+        </div>
+
+        <ul className="text-xs text-muted-foreground space-y-1">
+          {ACTIONS.map(action => (
+            <li key={action.value}>• <strong>{action.label}</strong>: {ACTION_HELP[action.value]}</li>
+          ))}
+        </ul>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left p-2 font-medium">En el archivo</th>
+                <th className="text-left p-2 font-medium">En tu biblioteca</th>
+                <th className="text-left p-2 font-medium">Acción</th>
+              </tr>
+            </thead>
+            <tbody>
+              {duplicates.map((duplicate, i) => (
+                <tr key={duplicate.index} className="border-b align-top">
+                  <td className="p-2">
+                    <div className="font-medium">{duplicate.row.title}</div>
+                    <div className="text-muted-foreground">{formatAuthors(duplicate.row.authors)}</div>
+                  </td>
+                  <td className="p-2">
+                    <div className="font-medium">{duplicate.book.title}</div>
+                    <div className="text-muted-foreground">{formatAuthors(duplicate.book.authors)}</div>
+                    <Badge variant="outline" className="mt-1 text-xs">{REASON_LABELS[duplicate.reason]}</Badge>
+                  </td>
+                  <td className="p-2 w-44">
+                    <Select value={actions[i]} onValueChange={(action) => setAction(i, action)} disabled={isProcessing}>
+                      <SelectTrigger aria-label={`Acción para ${duplicate.row.title}`}>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {ACTIONS.map(action => (
+                          <SelectItem key={action.value} value={action.value}>{action.label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <Button variant="outline" onClick={onCancel} disabled={isProcessing}>
+            Cancelar
+          </Button>
+          <Button onClick={handleConfirm} disabled={isProcessing}>
+            <Upload className="mr-2 h-4 w-4" />
+            Importar Libros
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ImportDuplicatesStep;
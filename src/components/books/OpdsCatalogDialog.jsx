@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '../ui/dialog';
+import { Library, LogIn, Plus, Trash2 } from 'lucide-react';
+import bookService from '../../services/BookService';
+import { useToast } from '../../hooks/use-toast';
+
+const emptyForm = { name: '', url: '', username: '', password: '' };
+
+// Manage the OPDS catalogues (Calibre and similar servers) searched
+// together with the public sources. `onChange` runs after every change.
+const OpdsCatalogDialog = ({ onChange }) => {
+  const { toast } = useToast();
+  const [isOpen, setIsOpen] = useState(false);
+  const [endpoints, setEndpoints] = useState(() => bookService.getOPDSEndpoints());
+  const [form, setForm] = useState(emptyForm);
+  // Passwords typed for catalogues whose session password is gone
+  const [passwords, setPasswords] = useState({});
+
+  const refresh = () => {
+    setEndpoints(bookService.getOPDSEndpoints());
+    if (onChange) onChange();
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    // The dialog is rendered inside the search form: keep the submit here
+    e.stopPropagation();
+    const result = bookService.addOPDSEndpoint(form);
+
+    if (result.success) {
+      setForm(emptyForm);
+      refresh();
+      toast({
+        title: "Catálogo añadido",
+        description: `Las búsquedas incluirán "${result.endpoint.name}".`,
+      });
+    } else {
+      toast({
+        title: "No se pudo añadir el catálogo",
+        description: result.error,
+        variant: "destructive"
+      });
+    }
+  };
+
+  const handleConnect = (e, endpoint) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const result = bookService.setOPDSPassword(endpoint.id, passwords[endpoint.id] || '');
+
+    if (result.success) {
+      setPasswords(prev => ({ ...prev, [endpoint.id]: '' }));
+      refresh();
+    } else {
+      toast({
+        title: "No se pudo conectar con el catálogo",
+        description: result.error,
+        variant: "destructive"
+      });
+    }
+  };
+
+  const handleRemove = (id) => {
+    bookService.removeOPDSEndpoint(id);
+    refresh();
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={setIsOpen}>
+      <DialogTrigger asChild>
+        <Button type="button" variant="ghost" size="sm">
+          <Library className="mr-2 h-4 w-4" />
+          Mis catálogos
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Catálogos OPDS</DialogTitle>
+          <DialogDescription>
+            Añade la dirección OPDS de tu servidor (Calibre, Calibre-Web, Kavita...) para buscar también en tu colección.
+            La contraseña solo se recuerda durante esta sesión y se olvida al cerrar sesión.
+          </DialogDescription>
+        </DialogHeader>
+
+        {endpoints.length > 0 && (
+          <ul className="space-y-2">
+            {endpoints.map(endpoint => (
+              <li key={endpoint.id} className="rounded-md border p-3 space-y-2">
+                <div className="flex items-center justify-between">
+                  <div className="min-w-0">
+                    <p className="font-medium truncate">{endpoint.name}</p>
+                    <p className="text-xs text-muted-foreground truncate">{endpoint.url}</p>
+                  </div>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => handleRemove(endpoint.id)}
+                    aria-label={`Eliminar ${endpoint.name}`}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+                {bookService.needsOPDSPassword(endpoint) && (
+                  <form onSubmit={(e) => handleConnect(e, endpoint)} className="flex gap-2">
+                    <Input
+                      type="password"
+                      autoComplete="current-password"
+                      placeholder={`Contraseña de ${endpoint.username}`}
+                      aria-label={`Contraseña de ${endpoint.name}`}
+                      value={passwords[endpoint.id] || ''}
+                      onChange={(e) => setPasswords(prev => ({ ...prev, [endpoint.id]: e.target.value }))}
+                    />
+                    <Button type="submit" variant="outline">
+                      <LogIn className="mr-2 h-4 w-4" />
+                      Conectar
+                    </Button>
+                  </form>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleAdd} className="space-y-3">
+          <div className="space-y-2">
+            <Label htmlFor="opds-name">Nombre</Label>
+            <Input
+              id="opds-name"
+              placeholder="Mi Calibre"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="opds-url">URL del catálogo</Label>
+            <Input
+              id="opds-url"
+              type="url"
+              required
+              placeholder="https://calibre.example.com/opds"
+              value={form.url}
+              onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label htmlFor="opds-username">Usuario (opcional)</Label>
+              <Input
+                id="opds-username"
+                autoComplete="off"
+                value={form.username}
+                onChange={(e) => setForm(prev => ({ ...prev, username: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="opds-password">Contraseña</Label>
+              <Input
+                id="opds-password"
+                type="password"
+                autoComplete="new-password"
+                value={form.password}
+                onChange={(e) => setForm(prev => ({ ...prev, password: e.target.value }))}
+              />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <Button type="submit">
+              <Plus className="mr-2 h-4 w-4" />
+              Añadir catálogo
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default OpdsCatalogDialog;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Button } from '../ui/button';
+import { Checkbox } from '../ui/checkbox';
+import { Label } from '../ui/label';
+import { Slider } from '../ui/slider';
+import { Separator } from '../ui/separator';
+import { Star, X } from 'lucide-react';
+import { computeFacets, isFacetStateEmpty, EMPTY_FACETS } from '../../utils/searchFacets';
+
+const MAX_OPTIONS = 8;
+
+const languageNames = (() => {
+  try {
+    return new Intl.DisplayNames(['es'], { type: 'language' });
+  } catch (error) {
+    return null;
+  }
+})();
+
+const getLanguageName = (code) => {
+  try {
+    const name = languageNames?.of(code);
+    return name ? name.charAt(0).toUpperCase() + name.slice(1) : code.toUpperCase();
+  } catch (error) {
+    return code.toUpperCase();
+  }
+};
+
+const FacetSection = ({ title, children }) => (
+  <div className="space-y-3">
+    <h3 className="text-sm font-semibold">{title}</h3>
+    {children}
+  </div>
+);
+
+// Range slider over the values of the results. The range is applied when
+// the thumb is released; the full range means no filter.
+const RangeFacet = ({ bounds, from, to, count, onChange }) => {
+  const current = [from ?? bounds.min, to ?? bounds.max];
+  const [draft, setDraft] = useState(current);
+
+  useEffect(() => {
+    setDraft(current);
+  }, [from, to, bounds.min, bounds.max]);
+
+  if (bounds.min === bounds.max) {
+    return <p className="text-xs text-muted-foreground">{bounds.min} ({count})</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <Slider
+        min={bounds.min}
+        max={bounds.max}
+        step={1}
+        value={draft}
+        onValueChange={setDraft}
+        onValueCommit={([min, max]) => onChange(
+          min <= bounds.min ? null : min,
+          max >= bounds.max ? null : max
+        )}
+      />
+      <div className="flex justify-between text-xs text-muted-foreground">
+        <span>{draft[0]} – {draft[1]}</span>
+        <span>{count} {count === 1 ? 'libro' : 'libros'}</span>
+      </div>
+    </div>
+  );
+};
+
+// Checkbox list of values with their counts, the most frequent first
+const OptionsFacet = ({ id, options, selected, getLabel = (value) => value, onChange }) => {
+  const [showAll, setShowAll] = useState(false);
+  const visible = showAll ? options : options.slice(0, MAX_OPTIONS);
+
+  const toggle = (value, checked) => onChange(
+    checked ? [...selected, value] : selected.filter(item => item !== value)
+  );
+
+  return (
+    <div className="space-y-2">
+      {visible.map(({ value, count }) => (
+        <div key={value} className="flex items-center gap-2">
+          <Checkbox
+            id={`${id}-${value}`}
+            checked={selected.includes(value)}
+            onCheckedChange={(checked) => toggle(value, checked === true)}
+          />
+          <Label htmlFor={`${id}-${value}`} className="flex-1 truncate text-sm font-normal">
+            {getLabel(value)}
+          </Label>
+          <span className="text-xs text-muted-foreground">{count}</span>
+        </div>
+      ))}
+      {options.length > MAX_OPTIONS && (
+        <Button type="button" variant="link" size="sm" className="h-auto p-0" onClick={() => setShowAll(prev => !prev)}>
+          {showAll ? 'Ver menos' : `Ver todas (${options.length})`}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+// Facets of the loaded results: year, category, language, rating, pages
+// and cover, each with the number of books it would leave
+const SearchFacets = ({ books, value, onChange }) => {
+  const facets = useMemo(() => computeFacets(books, value), [books, value]);
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold">Filtrar resultados</h2>
+        {!isFacetStateEmpty(value) && (
+          <Button type="button" variant="ghost" size="sm" onClick={() => onChange(EMPTY_FACETS)}>
+            <X className="mr-1 h-4 w-4" />
+            Limpiar
+          </Button>
+        )}
+      </div>
+
+      {facets.years.bounds && (
+        <FacetSection title="Año de publicación">
+          <RangeFacet
+            bounds={facets.years.bounds}
+            from={value.yearFrom}
+            to={value.yearTo}
+            count={facets.years.count}
+            onChange={(yearFrom, yearTo) => update({ yearFrom, yearTo })}
+          />
+        </FacetSection>
+      )}
+
+      {facets.categories.length > 0 && (
+        <>
+          <Separator />
+          <FacetSection title="Categorías">
+            <OptionsFacet
+              id="facet-category"
+              options={facets.categories}
+              selected={value.categories}
+              onChange={(categories) => update({ categories })}
+            />
+          </FacetSection>
+        </>
+      )}
+
+      {facets.languages.length > 0 && (
+        <>
+          <Separator />
+          <FacetSection title="Idioma">
+            <OptionsFacet
+              id="facet-language"
+              options={facets.languages}
+              selected={value.languages}
+              getLabel={getLanguageName}
+              onChange={(languages) => update({ languages })}
+            />
+          </FacetSection>
+        </>
+      )}
+
+      <Separator />
+      <FacetSection title="Valoración media">
+        <div className="space-y-1">
+          {facets.ratings.map(({ value: rating, count }) => (
+            <Button
+              key={rating}
+              type="button"
+              variant={value.minRating === rating ? 'secondary' : 'ghost'}
+              size="sm"
+              className="w-full justify-between"
+              disabled={count === 0 && value.minRating !== rating}
+              onClick={() => update({ minRating: value.minRating === rating ? null : rating })}
+            >
+              <span className="flex items-center gap-1">
+                {rating}
+                <Star className="h-3 w-3 fill-current" />
+                o más
+              </span>
+              <span className="text-xs text-muted-foreground">{count}</span>
+            </Button>
+          ))}
+        </div>
+      </FacetSection>
+
+      {facets.pages.bounds && (
+        <>
+          <Separator />
+          <FacetSection title="Número de páginas">
+            <RangeFacet
+              bounds={facets.pages.bounds}
+              from={value.pagesFrom}
+              to={value.pagesTo}
+              count={facets.pages.count}
+              onChange={(pagesFrom, pagesTo) => update({ pagesFrom, pagesTo })}
+            />
+          </FacetSection>
+        </>
+      )}
+
+      <Separator />
+      <div className="flex items-center gap-2">
+        <Checkbox
+          id="facet-cover"
+          checked={value.hasCover}
+          onCheckedChange={(checked) => update({ hasCover: checked === true })}
+        />
+        <Label htmlFor="facet-cover" className="flex-1 text-sm font-normal">Con portada</Label>
+        <span className="text-xs text-muted-foreground">{facets.cover.count}</span>
+      </div>
+    </div>
+  );
+};
+
+export default SearchFacets;
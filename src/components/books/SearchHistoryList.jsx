@@ -0,0 +1,73 @@
+import React from 'react';
+import { Button } from '../ui/button';
+import { Clock, Pin, PinOff, Search, Trash2 } from 'lucide-react';
+import bookService from '../../services/BookService';
+import { ANY_LANGUAGE } from '../../utils/searchLanguage';
+import { describeSearch, DEFAULT_SEARCH_TYPE, DEFAULT_SOURCE } from '../../utils/searchState';
+
+const SEARCH_TYPE_LABELS = {
+  title: 'Por título',
+  author: 'Por autor',
+  isbn: 'Por ISBN',
+  subject: 'Por tema'
+};
+
+// Search type, language and source of a stored search
+export const describeSearchOptions = ({ searchType, advanced, filters = {} }) => [
+  advanced ? 'Avanzada' : SEARCH_TYPE_LABELS[searchType !== DEFAULT_SEARCH_TYPE ? searchType : ''],
+  filters.language === ANY_LANGUAGE ? 'Todos los idiomas' : filters.language?.toUpperCase(),
+  filters.source && filters.source !== DEFAULT_SOURCE ? bookService.getSourceLabel(filters.source) : ''
+].filter(Boolean).join(' · ');
+
+// History entries or saved searches. Pin and delete actions are shown when
+// their handlers are given.
+const SearchHistoryList = ({ searches = [], onRun, onTogglePin, onDelete }) => (
+  <ul className="divide-y rounded-md border">
+    {searches.map(search => {
+      const options = describeSearchOptions(search);
+      const Icon = search.name ? (search.pinned ? Pin : Search) : Clock;
+
+      return (
+        <li key={search.id} className="flex items-center gap-2 p-2">
+          <button
+            type="button"
+            className="flex min-w-0 flex-1 items-center gap-3 rounded-sm px-2 py-1 text-left hover:bg-accent"
+            onClick={() => onRun(search)}
+          >
+            <Icon className="h-4 w-4 shrink-0 text-muted-foreground" />
+            <span className="min-w-0">
+              <span className="block truncate text-sm font-medium">{search.name || describeSearch(search)}</span>
+              {options && (
+                <span className="block truncate text-xs text-muted-foreground">{options}</span>
+              )}
+            </span>
+          </button>
+
+          {onTogglePin && (
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => onTogglePin(search.id)}
+              aria-label={search.pinned ? 'Quitar del panel' : 'Fijar en el panel'}
+              title={search.pinned ? 'Quitar del panel' : 'Fijar en el panel'}
+            >
+              {search.pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+            </Button>
+          )}
+          {onDelete && (
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => onDelete(search.id)}
+              aria-label="Eliminar"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          )}
+        </li>
+      );
+    })}
+  </ul>
+);
+
+export default SearchHistoryList;
@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Command as CommandPrimitive } from 'cmdk';
+import { Command, CommandGroup, CommandItem, CommandList } from '../ui/command';
+import { BookOpen, Clock, Library, Loader2, Search, User } from 'lucide-react';
+import bookService from '../../services/BookService';
+import { useBooks } from '../../context/BooksContext';
+import { useSearchHistory } from '../../context/SearchHistoryContext';
+import { normalizeText, normalizeAuthor } from '../../utils/bookMatching';
+import { describeSearch } from '../../utils/searchState';
+
+const DEBOUNCE_MS = 300;
+const MAX_LIBRARY_MATCHES = 3;
+const MAX_RECENT = 5;
+const MAX_AUTHORS = 3;
+
+const matchesTerm = (values, term) => {
+  const words = normalizeText(term).split(' ').filter(Boolean);
+  const haystack = normalizeText(values.filter(Boolean).join(' '));
+  return words.length > 0 && words.every(word => haystack.includes(word));
+};
+
+// Search box with live suggestions: books and authors from the sources,
+// books already in the library and recent searches.
+//   onSearch(term)           run a search for the text
+//   onSearchAuthor(author)   run an author search
+//   onRunSearch(search)      run a search from the history again
+const SearchSuggestions = ({
+  value,
+  onChange,
+  onSearch,
+  onSearchAuthor,
+  onRunSearch,
+  language,
+  placeholder = 'Buscar por título, autor, ISBN...',
+  isLoading = false
+}) => {
+  const navigate = useNavigate();
+  const { userBooks } = useBooks();
+  const { history } = useSearchHistory();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [remoteBooks, setRemoteBooks] = useState([]);
+  const [isFetching, setIsFetching] = useState(false);
+  // Keyboard-highlighted item, reset to the "search for" row as the text changes
+  const [highlighted, setHighlighted] = useState('search');
+
+  const term = value.trim();
+
+  // Debounced source lookup; typing again cancels the previous request
+  useEffect(() => {
+    setHighlighted('search');
+
+    if (!isOpen || term.length < 2) {
+      setRemoteBooks([]);
+      setIsFetching(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setIsFetching(true);
+
+    const timer = setTimeout(async () => {
+      const result = await bookService.getSuggestions(term, { language, signal: controller.signal });
+      if (!controller.signal.aborted) {
+        setRemoteBooks(result.success ? result.books : []);
+        setIsFetching(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [term, language, isOpen]);
+
+  const libraryMatches = useMemo(() => (
+    term.length < 2 ? [] : userBooks
+      .filter(book => matchesTerm([book.title, ...(book.authors || [])], term))
+      .slice(0, MAX_LIBRARY_MATCHES)
+  ), [userBooks, term]);
+
+  const recentMatches = useMemo(() => history
+    .filter(search => {
+      const label = describeSearch(search);
+      return !term || (label.toLowerCase() !== term.toLowerCase() && matchesTerm([label], term));
+    })
+    .slice(0, MAX_RECENT), [history, term]);
+
+  // Authors of the suggested books whose name matches what was typed
+  const authorMatches = useMemo(() => {
+    const seen = new Set();
+    return remoteBooks
+      .flatMap(book => book.authors || [])
+      .filter(author => {
+        const key = normalizeAuthor(author);
+        if (seen.has(key) || !matchesTerm([author], term)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, MAX_AUTHORS);
+  }, [remoteBooks, term]);
+
+  const close = () => {
+    setIsOpen(false);
+  };
+
+  const runSearch = (text) => {
+    close();
+    onSearch(text);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      close();
+    } else if (e.key === 'Enter' && !isOpen) {
+      // With the list closed Enter searches; cmdk would swallow it
+      e.preventDefault();
+      runSearch(value);
+    } else if (!isOpen && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+      setIsOpen(true);
+    }
+  };
+
+  const hasSuggestions = term.length > 0 || recentMatches.length > 0;
+
+  return (
+    <Command
+      shouldFilter={false}
+      loop
+      value={highlighted}
+      onValueChange={setHighlighted}
+      className="relative overflow-visible bg-transparent"
+    >
+      <div className="relative">
+        <CommandPrimitive.Input
+          value={value}
+          onValueChange={(text) => {
+            onChange(text);
+            setIsOpen(true);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsOpen(true)}
+          onBlur={close}
+          placeholder={placeholder}
+          className="flex h-12 w-full rounded-md border border-input bg-background px-3 py-2 pr-10 text-lg ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+        />
+        {(isFetching || isLoading) && (
+          <Loader2 className="absolute right-3 top-1/2 h-4 w-4 -translate-y-1/2 animate-spin text-muted-foreground" />
+        )}
+      </div>
+
+      {isOpen && hasSuggestions && (
+        <CommandList
+          // Keep the focus in the input while clicking a suggestion
+          onMouseDown={(e) => e.preventDefault()}
+          className="absolute top-full z-50 mt-1 w-full max-h-[400px] rounded-md border bg-popover shadow-md"
+        >
+          {term && (
+            <CommandGroup>
+              <CommandItem value="search" onSelect={() => runSearch(value)}>
+                <Search />
+                <span>Buscar «{term}»</span>
+              </CommandItem>
+            </CommandGroup>
+          )}
+
+          {libraryMatches.length > 0 && (
+            <CommandGroup heading="En tu biblioteca">
+              {libraryMatches.map(book => (
+                <CommandItem
+                  key={book.id}
+                  value={`library:${book.id}`}
+                  onSelect={() => {
+                    close();
+                    navigate(`/library/book/${book.id}`);
+                  }}
+                >
+                  <Library />
+                  <span className="truncate">{book.title}</span>
+                  {book.authors?.[0] && (
+                    <span className="ml-auto truncate text-xs text-muted-foreground">{book.authors[0]}</span>
+                  )}
+                </CommandItem>
+              ))}
+            </CommandGroup>
+          )}
+
+          {remoteBooks.length > 0 && (
+            <CommandGroup heading="Libros">
+              {remoteBooks.map(book => (
+                <CommandItem
+                  key={`${book.source}:${book.id}`}
+                  value={`book:${book.source}:${book.id}`}
+                  onSelect={() => {
+                    close();
+                    navigate(`/book/${book.source}/${book.id}`);
+                  }}
+                >
+                  <BookOpen />
+                  <span className="truncate">{book.title}</span>
+                  {book.authors?.[0] && (
+                    <span className="ml-auto truncate text-xs text-muted-foreground">{book.authors[0]}</span>
+                  )}
+                </CommandItem>
+              ))}
+            </CommandGroup>
+          )}
+
+          {authorMatches.length > 0 && onSearchAuthor && (
+            <CommandGroup heading="Autores">
+              {authorMatches.map(author => (
+                <CommandItem
+                  key={author}
+                  value={`author:${author}`}
+                  onSelect={() => {
+                    close();
+                    onSearchAuthor(author);
+                  }}
+                >
+                  <User />
+                  <span className="truncate">{author}</span>
+                </CommandItem>
+              ))}
+            </CommandGroup>
+          )}
+
+          {recentMatches.length > 0 && (
+            <CommandGroup heading="Búsquedas recientes">
+              {recentMatches.map(search => (
+                <CommandItem
+                  key={search.id}
+                  value={`recent:${search.id}`}
+                  onSelect={() => {
+                    close();
+                    if (onRunSearch) {
+                      onRunSearch(search);
+                    } else {
+                      onChange(search.query);
+                      onSearch(search.query);
+                    }
+                  }}
+                >
+                  <Clock />
+                  <span className="truncate">{describeSearch(search)}</span>
+                </CommandItem>
+              ))}
+            </CommandGroup>
+          )}
+        </CommandList>
+      )}
+    </Command>
+  );
+};
+
+export default SearchSuggestions;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Grid that only mounts the rows near the viewport; the rows above and below
+// are replaced by padding. It scrolls with the page. Columns follow the
+// width available (at least minColumnWidth each, at most maxColumns) and the
+// row height is measured from the rendered rows.
+const VirtualBookGrid = ({
+  items,
+  renderItem,
+  getKey,
+  minColumnWidth = 280,
+  maxColumns = 4,
+  estimatedRowHeight = 420,
+  gap = 24,
+  overscan = 2,
+  className = ''
+}) => {
+  const containerRef = useRef(null);
+  const gridRef = useRef(null);
+  const [columns, setColumns] = useState(1);
+  const [rowHeight, setRowHeight] = useState(estimatedRowHeight);
+  const [range, setRange] = useState({ start: 0, end: overscan * 2 });
+
+  const rowCount = Math.ceil(items.length / columns);
+  const rowStride = rowHeight + gap;
+
+  // Columns that fit the container
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    const updateColumns = () => {
+      const fit = Math.floor((container.clientWidth + gap) / (minColumnWidth + gap));
+      setColumns(clamp(fit, 1, maxColumns));
+    };
+
+    updateColumns();
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', updateColumns);
+      return () => window.removeEventListener('resize', updateColumns);
+    }
+
+    const observer = new ResizeObserver(updateColumns);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [minColumnWidth, maxColumns, gap]);
+
+  // Rows between the top and the bottom of the viewport, plus overscan
+  const updateRange = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const top = container.getBoundingClientRect().top;
+    const start = clamp(Math.floor(-top / rowStride) - overscan, 0, rowCount);
+    const end = clamp(Math.ceil((window.innerHeight - top) / rowStride) + overscan, start, rowCount);
+
+    setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+  }, [rowStride, rowCount, overscan]);
+
+  useEffect(() => {
+    updateRange();
+    window.addEventListener('scroll', updateRange, { passive: true });
+    window.addEventListener('resize', updateRange);
+    return () => {
+      window.removeEventListener('scroll', updateRange);
+      window.removeEventListener('resize', updateRange);
+    };
+  }, [updateRange]);
+
+  // Replace the estimate with the height of the rendered rows. Only taller
+  // rows update it, so rows of different heights cannot make it oscillate.
+  useLayoutEffect(() => {
+    const grid = gridRef.current;
+    const renderedRows = range.end - range.start;
+    if (!grid || renderedRows === 0) return;
+
+    const measured = (grid.offsetHeight - gap * (renderedRows - 1)) / renderedRows;
+    if (measured > rowHeight + 1) {
+      setRowHeight(measured);
+    }
+  });
+
+  const end = Math.min(range.end, rowCount);
+  const start = Math.min(range.start, end);
+  const firstIndex = start * columns;
+
+  return (
+    <div
+      ref={containerRef}
+      className={className}
+      style={{
+        paddingTop: start * rowStride,
+        paddingBottom: Math.max(0, rowCount - end) * rowStride
+      }}
+    >
+      <div
+        ref={gridRef}
+        className="grid"
+        style={{ gap, gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` }}
+      >
+        {items.slice(firstIndex, end * columns).map((item, offset) => (
+          <React.Fragment key={getKey(item, firstIndex + offset)}>
+            {renderItem(item, firstIndex + offset)}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default VirtualBookGrid;
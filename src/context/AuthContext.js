@@ -1,5 +1,7 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useLayoutEffect } from 'react';
 import authService from '../services/AuthService';
+import bookService from '../services/BookService';
+import { setProfileLanguage } from '../utils/searchLanguage';
 
 const AuthContext = createContext();
 
@@ -21,6 +23,17 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  // Book searches prefer the language set in the user's profile
+  useEffect(() => {
+    setProfileLanguage(user?.language);
+  }, [user]);
+
+  // Search the user's own OPDS catalogues. A layout effect, so pages reading
+  // the book sources in their effects already see them.
+  useLayoutEffect(() => {
+    bookService.setOPDSUser(user?.id);
+  }, [user?.id]);
+
   const initializeAuth = async () => {
     setLoading(true);
     try {
@@ -116,6 +129,7 @@ export const AuthProvider = ({ children }) => {
     try {
       await authService.logout();
     } finally {
+      bookService.clearOPDSCredentials();
       setUser(null);
       setIsAuthenticated(false);
     }
@@ -2,6 +2,10 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
 import { useAuth } from './AuthContext';
 import { useCategories } from './CategoriesContext';
 import laravelBookService from '../services/LaravelBookService';
+import enrichmentService from '../services/EnrichmentService';
+import { findLibraryBook, findImportMatch } from '../utils/bookMatching';
+import { normalizeISBN } from '../utils/isbn';
+import { UNKNOWN_LANGUAGE } from '../utils/searchLanguage';
 
 const BooksContext = createContext();
 
@@ -18,7 +22,12 @@ export const BooksProvider = ({ children }) => {
   const { categories } = useCategories();
   const [userBooks, setUserBooks] = useState([]);
   const [loading, setLoading] = useState(false);
+  // User whose library userBooks holds. Pages rendered as soon as the user
+  // signs in run before the library starts loading: until it is loaded for
+  // this user, it counts as loading.
+  const [loadedUserId, setLoadedUserId] = useState(null);
   const [stats, setStats] = useState({});
+  const libraryLoading = isAuthenticated && loadedUserId !== user?.id;
 
   // Load user books when authenticated
   useEffect(() => {
@@ -28,6 +37,7 @@ export const BooksProvider = ({ children }) => {
     } else {
       setUserBooks([]);
       setStats({});
+      setLoadedUserId(null);
     }
   }, [isAuthenticated, user]);
 
@@ -58,6 +68,7 @@ export const BooksProvider = ({ children }) => {
         console.error('Error loading books from localStorage:', e);
       }
     } finally {
+      setLoadedUserId(user?.id);
       setLoading(false);
     }
   };
@@ -265,6 +276,27 @@ export const BooksProvider = ({ children }) => {
     }
   };
 
+  // Fill the missing metadata of a library book from the other sources
+  const enrichLibraryBook = async (bookId) => {
+    const book = userBooks.find(b => b.id === bookId);
+    if (!book) {
+      return { success: false, error: 'Book not found in library', fields: [] };
+    }
+
+    const result = await enrichmentService.enrichBook(book);
+    if (!result.success || result.fields.length === 0) {
+      return result;
+    }
+
+    const updates = { provenance: result.provenance };
+    result.fields.forEach(field => {
+      updates[field] = result.book[field];
+    });
+
+    const updateResult = await updateBook(bookId, updates);
+    return { ...updateResult, fields: result.fields };
+  };
+
   const updateBookNotes = async (bookId, notes) => {
     try {
       const result = await laravelBookService.updateBookNotes(bookId, notes);
@@ -329,43 +361,97 @@ export const BooksProvider = ({ children }) => {
     }
   };
 
-  const importBooksFromData = async (booksData) => {
+  // Rows of an import that are already in the library: [{ index, row,
+  // book, reason }], reason being 'isbn' or 'title'
+  const findImportDuplicates = (booksData) => booksData
+    .map((row, index) => ({ index, row, match: findImportMatch(userBooks, row) }))
+    .filter(({ match }) => match)
+    .map(({ index, row, match }) => ({ index, row, book: match.book, reason: match.reason }));
+
+  // Import rows. resolutions tells what to do with rows that duplicate a
+  // library book: [{ index, bookId, action }], action being 'skip',
+  // 'overwrite' (the row's values replace the book's) or 'merge' (the row
+  // only fills what the book is missing).
+  const importBooksFromData = async (booksData, resolutions = []) => {
+    const resolved = new Set(resolutions.map(resolution => resolution.index));
+    const newBooksData = booksData.filter((row, index) => !resolved.has(index));
+    const changed = resolutions
+      .filter(resolution => resolution.action !== 'skip')
+      .map(resolution => {
+        const book = userBooks.find(ub => ub.id === resolution.bookId);
+        return book && {
+          bookId: book.id,
+          changes: getImportChanges(book, booksData[resolution.index], resolution.action)
+        };
+      })
+      .filter(Boolean);
+    const updates = changed.filter(update => Object.keys(update.changes).length > 0);
+    const skipped = resolutions.length - changed.length;
+    // Overwritten or merged rows that had nothing new for the library copy
+    const unchanged = changed.length - updates.length;
+
+    // Signed in, the library lives on the server: a failed import is
+    // reported and never applied locally, so the library does not diverge
+    const failedImport = (error) => ({
+      success: false,
+      error,
+      imported: 0,
+      updated: 0,
+      updateErrors: updates.length,
+      unchanged,
+      skipped
+    });
+
+    if (!isAuthenticated) {
+      return importBooksFromDataLocal(newBooksData, updates, skipped, unchanged);
+    }
+
     try {
       setLoading(true);
+
+      // Convert data to a file-like format for the API
+      const csvContent = convertBooksDataToCSV(newBooksData);
+      const file = new Blob([csvContent], { type: 'text/csv' });
+      file.name = 'imported_books.csv';
       
-      // Try to use Laravel backend first
-      if (isAuthenticated) {
-        // Convert data to a file-like format for the API
-        const csvContent = convertBooksDataToCSV(booksData);
-        const file = new Blob([csvContent], { type: 'text/csv' });
-        file.name = 'imported_books.csv';
-        
-        const result = await laravelBookService.importBooks(file);
-        
-        if (result.success) {
-          await loadUserBooks();
-          await loadReadingStats();
-          return result;
-        }
+      const result = newBooksData.length > 0 ? await laravelBookService.importBooks(file) : null;
+      if (result && !result.success) {
+        return failedImport(result.error || 'No se han podido importar los libros');
       }
-      
-      // Fallback to local import
-      return await importBooksFromDataLocal(booksData);
+
+      // Failed updates are reported too
+      const updateResults = await Promise.all(updates.map(({ bookId, changes }) => (
+        laravelBookService.updateBookInLibrary(bookId, changes)
+      )));
+      const updated = updateResults.filter(updateResult => updateResult.success).length;
+
+      await loadUserBooks();
+      await loadReadingStats();
+      return {
+        ...(result || { success: true, imported: 0, errors: [] }),
+        updated,
+        updateErrors: updates.length - updated,
+        unchanged,
+        skipped
+      };
     } catch (error) {
       console.error('Error importing books:', error);
-      return await importBooksFromDataLocal(booksData);
+      return failedImport(error.message);
     } finally {
       setLoading(false);
     }
   };
 
   const convertBooksDataToCSV = (booksData) => {
-    const headers = ['title', 'authors', 'description', 'category', 'publisher', 'publishedDate', 'pageCount', 'isbn', 'language', 'notes', 'review', 'rating'];
+    const headers = ['title', 'authors', 'description', 'category', 'categoryId', 'publisher', 'publishedDate', 'pageCount', 'isbn', 'language', 'notes', 'review', 'rating', 'progress', 'tags', 'addedAt', 'finishedAt', 'invalidIsbn'];
+    // The rating column is the user's own rating, read as personalRating
+    // from both CSV files and reading app exports
+    const fields = { rating: 'personalRating' };
     const csvRows = [headers.join(',')];
     
     booksData.forEach(book => {
       const row = headers.map(header => {
-        const value = book[header] || '';
+        const value = book[fields[header] || header] || '';
         return `"${String(value).replace(/"/g, '""')}"`;
       });
       csvRows.push(row.join(','));
@@ -374,40 +460,101 @@ export const BooksProvider = ({ children }) => {
     return csvRows.join('\n');
   };
 
-  const importBooksFromDataLocal = async (booksData) => {
+  // Library fields of an import row, only those the row has a value for
+  const getImportedFields = (bookData) => {
+    // Exports of reading apps give the shelf as a category id
+    const category = categories.find(c => c.id === bookData.categoryId) || categories.find(c => 
+      c.name.toLowerCase() === bookData.category?.toLowerCase()
+    );
+
+    const fields = {
+      title: bookData.title,
+      authors: bookData.authors ? [bookData.authors] : [],
+      description: bookData.description,
+      publishedDate: bookData.publishedDate,
+      publisher: bookData.publisher,
+      pageCount: parseInt(bookData.pageCount) || 0,
+      categories: bookData.categories ? [bookData.categories] : [],
+      averageRating: parseFloat(bookData.rating) || 0,
+      language: bookData.language,
+      isbn: normalizeISBN(bookData.isbn),
+      // ISBN of the file whose check digit is wrong
+      invalidIsbn: bookData.invalidIsbn,
+      categoryId: category?.id,
+      notes: bookData.notes,
+      addedAt: bookData.addedAt,
+      finishedAt: bookData.finishedAt,
+      rating: parseFloat(bookData.personalRating) || 0,
+      progress: parseInt(bookData.progress) || 0,
+      personalReview: bookData.review,
+      tags: bookData.tags ? bookData.tags.split(',').map(t => t.trim()) : []
+    };
+
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => (
+      Array.isArray(value) ? value.length > 0 : Boolean(value)
+    )));
+  };
+
+  // Changes to a library book from a row that duplicates it
+  const getImportChanges = (book, bookData, action) => {
+    const fields = getImportedFields(bookData);
+    // The library copy keeps when it was added, and a valid ISBN over an
+    // invalid one
+    delete fields.addedAt;
+    if (book.isbn) delete fields.invalidIsbn;
+
+    if (action === 'overwrite') {
+      return fields;
+    }
+
+    const isMissing = (value) => (Array.isArray(value) ? value.length === 0 : !value);
+    const changes = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      if (field === 'tags') {
+        const tags = [...new Set([...(book.tags || []), ...value])];
+        if (tags.length > (book.tags || []).length) changes.tags = tags;
+      } else if (isMissing(book[field])) {
+        changes[field] = value;
+      }
+    });
+    return changes;
+  };
+
+  const importBooksFromDataLocal = async (booksData, updates = [], skipped = 0, unchanged = 0) => {
     try {
       const importedBooks = [];
       const errors = [];
 
       for (const bookData of booksData) {
         try {
-          const category = categories.find(c => 
-            c.name.toLowerCase() === bookData.category?.toLowerCase()
-          ) || categories.find(c => c.id === 'to-read');
+          const fields = getImportedFields(bookData);
+          const categoryId = fields.categoryId || 'to-read';
 
           const userBook = {
             id: `imported_${Date.now()}_${Math.random()}`,
-            title: bookData.title || 'Sin título',
-            authors: bookData.authors ? [bookData.authors] : [],
-            description: bookData.description || '',
-            publishedDate: bookData.publishedDate || '',
-            publisher: bookData.publisher || '',
-            pageCount: parseInt(bookData.pageCount) || 0,
-            categories: bookData.categories ? [bookData.categories] : [],
-            averageRating: parseFloat(bookData.rating) || 0,
+            title: 'Sin título',
+            authors: [],
+            description: '',
+            publishedDate: '',
+            publisher: '',
+            pageCount: 0,
+            categories: [],
+            averageRating: 0,
             ratingsCount: 0,
             imageLinks: {},
-            language: bookData.language || 'es',
-            isbn: bookData.isbn || '',
+            language: UNKNOWN_LANGUAGE,
+            isbn: '',
             source: 'imported',
-            categoryId: category.id,
-            notes: bookData.notes || '',
+            notes: '',
             addedAt: new Date().toISOString(),
-            rating: parseFloat(bookData.personalRating) || 0,
-            progress: parseInt(bookData.progress) || 0,
-            personalReview: bookData.review || '',
-            tags: bookData.tags ? bookData.tags.split(',').map(t => t.trim()) : [],
-            favorite: false
+            finishedAt: null,
+            rating: 0,
+            progress: categoryId === 'read' ? 100 : 0,
+            personalReview: '',
+            tags: [],
+            favorite: false,
+            ...fields,
+            categoryId
           };
 
           importedBooks.push(userBook);
@@ -416,7 +563,14 @@ export const BooksProvider = ({ children }) => {
         }
       }
 
-      const updatedBooks = [...userBooks, ...importedBooks];
+      const changesById = new Map(updates.map(({ bookId, changes }) => [bookId, changes]));
+      const updatedAt = new Date().toISOString();
+      const updatedBooks = [
+        ...userBooks.map(book => (
+          changesById.has(book.id) ? { ...book, ...changesById.get(book.id), updatedAt } : book
+        )),
+        ...importedBooks
+      ];
       setUserBooks(updatedBooks);
       
       if (user) {
@@ -426,6 +580,10 @@ export const BooksProvider = ({ children }) => {
       return { 
         success: true, 
         imported: importedBooks.length,
+        updated: changesById.size,
+        updateErrors: 0,
+        unchanged,
+        skipped,
         errors: errors.length,
         books: importedBooks
       };
@@ -476,10 +634,11 @@ export const BooksProvider = ({ children }) => {
 
   const value = {
     userBooks,
-    loading,
+    loading: loading || libraryLoading,
     stats: getReadingStats(),
     addBookToLibrary,
     updateBook,
+    enrichLibraryBook,
     moveBookToCategory,
     removeBookFromLibrary,
     updateBookNotes,
@@ -487,9 +646,11 @@ export const BooksProvider = ({ children }) => {
     updateBookProgress,
     updateBookReview,
     importBooksFromData,
+    findImportDuplicates,
     getBooksByCategory,
     getReadingStats,
     searchUserBooks,
+    findBookInLibrary: (book) => findLibraryBook(userBooks, book),
     refreshLibrary: loadUserBooks
   };
 
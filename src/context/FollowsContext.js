@@ -0,0 +1,238 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { useAuth } from './AuthContext';
+import laravelBookService from '../services/LaravelBookService';
+import newReleasesService from '../services/NewReleasesService';
+import { normalizeText } from '../utils/bookMatching';
+
+const FollowsContext = createContext();
+
+const MAX_NOTIFICATIONS = 50;
+
+export const useFollows = () => {
+  const context = useContext(FollowsContext);
+  if (!context) {
+    throw new Error('useFollows must be used within a FollowsProvider');
+  }
+  return context;
+};
+
+// Fields of a release kept in its notification
+const toRelease = (book) => ({
+  id: book.id,
+  source: book.source,
+  title: book.title,
+  authors: book.authors || [],
+  publishedDate: book.publishedDate,
+  imageLinks: book.imageLinks
+});
+
+// Authors and subjects followed by the signed in user, and the new releases
+// found for them. Follows go through the Laravel backend and fall back to
+// localStorage, like SearchHistoryContext; notifications are kept locally.
+// The follows are checked for new releases once the app loads.
+export const FollowsProvider = ({ children }) => {
+  const { user, isAuthenticated } = useAuth();
+  const [follows, setFollows] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [isChecking, setIsChecking] = useState(false);
+
+  const followsKey = `follows_${user?.id}`;
+  const notificationsKey = `release_notifications_${user?.id}`;
+
+  useEffect(() => {
+    if (!isAuthenticated || !user) {
+      setFollows([]);
+      setNotifications([]);
+      return undefined;
+    }
+
+    // Background check of the loaded follows, cancelled on sign out
+    const controller = new AbortController();
+    setNotifications(readStorage(notificationsKey));
+    loadFollows().then(loaded => checkNewReleases({ follows: loaded, signal: controller.signal }));
+
+    return () => controller.abort();
+  }, [isAuthenticated, user]);
+
+  const readStorage = (key) => {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || [];
+    } catch (error) {
+      console.error(`Error reading ${key} from localStorage:`, error);
+      return [];
+    }
+  };
+
+  const writeStorage = (key, value) => {
+    if (user) {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
+  };
+
+  const loadFollows = async () => {
+    let loaded;
+    try {
+      const result = await laravelBookService.getFollows();
+      loaded = result.success ? result.follows : readStorage(followsKey);
+    } catch (error) {
+      console.error('Error loading follows:', error);
+      loaded = readStorage(followsKey);
+    }
+    setFollows(loaded);
+    return loaded;
+  };
+
+  // Follow of an author or subject, matched regardless of case and accents
+  const findFollow = (type, value) => {
+    const key = normalizeText(value);
+    return follows.find(follow => follow.type === type && normalizeText(follow.value) === key);
+  };
+
+  const follow = async (type, value) => {
+    const name = String(value || '').trim();
+
+    if (!name) {
+      return { success: false, error: 'Nothing to follow' };
+    }
+    if (findFollow(type, name)) {
+      return { success: false, error: 'Already followed' };
+    }
+
+    let newFollow = {
+      id: `follow_${Date.now()}`,
+      type,
+      value: name,
+      createdAt: new Date().toISOString()
+    };
+
+    const result = isAuthenticated ? await laravelBookService.createFollow(newFollow) : null;
+    if (result?.success) {
+      newFollow = result.follow || newFollow;
+      setFollows(prev => [...prev, newFollow]);
+    } else {
+      const updated = [...follows, newFollow];
+      setFollows(updated);
+      writeStorage(followsKey, updated);
+    }
+
+    // The first check records the current releases, so only later ones notify
+    checkNewReleases({ follows: [newFollow] });
+    return { success: true, follow: newFollow };
+  };
+
+  const unfollow = async (followId) => {
+    const dropNotifications = () => {
+      const remaining = notifications.filter(notification => notification.followId !== followId);
+      setNotifications(remaining);
+      writeStorage(notificationsKey, remaining);
+    };
+
+    if (isAuthenticated) {
+      const result = await laravelBookService.deleteFollow(followId);
+      if (result.success) {
+        setFollows(prev => prev.filter(item => item.id !== followId));
+        dropNotifications();
+        return result;
+      }
+    }
+
+    const updated = follows.filter(item => item.id !== followId);
+    setFollows(updated);
+    writeStorage(followsKey, updated);
+    dropNotifications();
+    return { success: true };
+  };
+
+  // Save what each checked follow has seen
+  const saveCheckedFollows = async (checked) => {
+    const updates = new Map(checked.map(({ follow: checkedFollow, seenKeys, lastCheckedAt }) => [
+      checkedFollow.id,
+      { seenKeys, lastCheckedAt }
+    ]));
+    const applyUpdates = (list) => list.map(item => (
+      updates.has(item.id) ? { ...item, ...updates.get(item.id) } : item
+    ));
+
+    setFollows(prev => applyUpdates(prev));
+
+    const results = isAuthenticated
+      ? await Promise.all([...updates].map(([id, changes]) => laravelBookService.updateFollow(id, changes)))
+      : [];
+    if (results.length === 0 || results.some(result => !result.success)) {
+      writeStorage(followsKey, applyUpdates(readStorage(followsKey)));
+    }
+  };
+
+  // Look for new releases of the follows that are due (every follow with
+  // force) and add them to the notifications
+  const checkNewReleases = async ({ follows: toCheck = follows, force = false, signal } = {}) => {
+    if (toCheck.length === 0) {
+      return { success: true, count: 0 };
+    }
+
+    setIsChecking(true);
+    try {
+      const checked = await newReleasesService.checkFollows(toCheck, { force, signal });
+      if (signal?.aborted || checked.length === 0) {
+        return { success: true, count: 0 };
+      }
+
+      await saveCheckedFollows(checked);
+
+      const found = checked.flatMap(({ follow: checkedFollow, books }) => books.map(book => ({
+        id: `release_${checkedFollow.id}_${newReleasesService.getReleaseKey(book)}`,
+        followId: checkedFollow.id,
+        type: checkedFollow.type,
+        value: checkedFollow.value,
+        book: toRelease(book),
+        foundAt: new Date().toISOString()
+      })));
+
+      if (found.length > 0) {
+        const ids = new Set(found.map(notification => notification.id));
+        const addFound = (list) => [...found, ...list.filter(item => !ids.has(item.id))]
+          .slice(0, MAX_NOTIFICATIONS);
+        setNotifications(prev => addFound(prev));
+        writeStorage(notificationsKey, addFound(readStorage(notificationsKey)));
+      }
+
+      return { success: true, count: found.length };
+    } catch (error) {
+      console.error('Error checking new releases:', error);
+      return { success: false, error: error.message, count: 0 };
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const dismissNotification = (notificationId) => {
+    const remaining = notifications.filter(notification => notification.id !== notificationId);
+    setNotifications(remaining);
+    writeStorage(notificationsKey, remaining);
+  };
+
+  const clearNotifications = () => {
+    setNotifications([]);
+    if (user) {
+      localStorage.removeItem(notificationsKey);
+    }
+  };
+
+  const value = {
+    follows,
+    notifications,
+    isChecking,
+    follow,
+    unfollow,
+    findFollow,
+    checkNewReleases,
+    dismissNotification,
+    clearNotifications
+  };
+
+  return (
+    <FollowsContext.Provider value={value}>
+      {children}
+    </FollowsContext.Provider>
+  );
+};
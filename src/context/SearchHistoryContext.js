@@ -0,0 +1,217 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { useAuth } from './AuthContext';
+import laravelBookService from '../services/LaravelBookService';
+import { normalizeSearch, getSearchKey, describeSearch } from '../utils/searchState';
+
+const SearchHistoryContext = createContext();
+
+const MAX_HISTORY_ENTRIES = 50;
+
+export const useSearchHistory = () => {
+  const context = useContext(SearchHistoryContext);
+  if (!context) {
+    throw new Error('useSearchHistory must be used within a SearchHistoryProvider');
+  }
+  return context;
+};
+
+// Search history and saved searches of the signed in user. Both go through
+// the Laravel backend and fall back to localStorage, like BooksContext.
+// Guests get a history for the current visit only.
+export const SearchHistoryProvider = ({ children }) => {
+  const { user, isAuthenticated } = useAuth();
+  const [history, setHistory] = useState([]);
+  const [savedSearches, setSavedSearches] = useState([]);
+
+  const historyKey = `search_history_${user?.id}`;
+  const savedSearchesKey = `saved_searches_${user?.id}`;
+
+  useEffect(() => {
+    if (isAuthenticated && user) {
+      loadHistory();
+      loadSavedSearches();
+    } else {
+      setHistory([]);
+      setSavedSearches([]);
+    }
+  }, [isAuthenticated, user]);
+
+  const readStorage = (key) => {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || [];
+    } catch (error) {
+      console.error(`Error reading ${key} from localStorage:`, error);
+      return [];
+    }
+  };
+
+  const writeStorage = (key, value) => {
+    if (user) {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
+  };
+
+  const loadHistory = async () => {
+    try {
+      const result = await laravelBookService.getSearchHistory(MAX_HISTORY_ENTRIES);
+      setHistory(result.success ? result.history : readStorage(historyKey));
+    } catch (error) {
+      console.error('Error loading search history:', error);
+      setHistory(readStorage(historyKey));
+    }
+  };
+
+  const loadSavedSearches = async () => {
+    try {
+      const result = await laravelBookService.getSavedSearches();
+      setSavedSearches(result.success ? result.searches : readStorage(savedSearchesKey));
+    } catch (error) {
+      console.error('Error loading saved searches:', error);
+      setSavedSearches(readStorage(savedSearchesKey));
+    }
+  };
+
+  // Record a search; running the same search again moves it to the top
+  const addToHistory = async (search) => {
+    const entry = {
+      id: `search_${Date.now()}`,
+      ...normalizeSearch(search),
+      searchedAt: new Date().toISOString()
+    };
+
+    if (!entry.query && !entry.advanced) {
+      return { success: false, error: 'Empty search' };
+    }
+
+    const key = getSearchKey(entry);
+    const updateHistory = (saved) => {
+      const updated = [saved, ...history.filter(item => getSearchKey(item) !== key)]
+        .slice(0, MAX_HISTORY_ENTRIES);
+      setHistory(updated);
+      return updated;
+    };
+
+    if (isAuthenticated) {
+      const result = await laravelBookService.addSearchHistoryEntry(entry);
+      if (result.success) {
+        updateHistory(result.entry || entry);
+        return { success: true, entry: result.entry || entry };
+      }
+    }
+
+    writeStorage(historyKey, updateHistory(entry));
+    return { success: true, entry };
+  };
+
+  const clearHistory = async () => {
+    if (isAuthenticated) {
+      const result = await laravelBookService.clearSearchHistory();
+      if (result.success) {
+        setHistory([]);
+        return result;
+      }
+    }
+
+    setHistory([]);
+    if (user) {
+      localStorage.removeItem(historyKey);
+    }
+    return { success: true };
+  };
+
+  // Save a search under a name (its description by default)
+  const saveSearch = async (search, name = '') => {
+    const normalized = normalizeSearch(search);
+    const key = getSearchKey(normalized);
+
+    if (savedSearches.some(saved => getSearchKey(saved) === key)) {
+      return { success: false, error: 'Esta búsqueda ya está guardada' };
+    }
+
+    const newSearch = {
+      id: `saved_${Date.now()}`,
+      ...normalized,
+      name: name.trim() || describeSearch(normalized),
+      pinned: false,
+      createdAt: new Date().toISOString()
+    };
+
+    if (isAuthenticated) {
+      const result = await laravelBookService.createSavedSearch(newSearch);
+      if (result.success) {
+        setSavedSearches(prev => [...prev, result.search || newSearch]);
+        return { success: true, search: result.search || newSearch };
+      }
+    }
+
+    const updated = [...savedSearches, newSearch];
+    setSavedSearches(updated);
+    writeStorage(savedSearchesKey, updated);
+    return { success: true, search: newSearch };
+  };
+
+  const updateSavedSearch = async (searchId, updates) => {
+    const applyUpdates = (list) => list.map(saved => (
+      saved.id === searchId ? { ...saved, ...updates, updatedAt: new Date().toISOString() } : saved
+    ));
+
+    if (isAuthenticated) {
+      const result = await laravelBookService.updateSavedSearch(searchId, updates);
+      if (result.success) {
+        setSavedSearches(prev => applyUpdates(prev));
+        return result;
+      }
+    }
+
+    const updated = applyUpdates(savedSearches);
+    setSavedSearches(updated);
+    writeStorage(savedSearchesKey, updated);
+    return { success: true };
+  };
+
+  // Pinned searches are shown on the Dashboard
+  const togglePinned = (searchId) => {
+    const saved = savedSearches.find(item => item.id === searchId);
+    return updateSavedSearch(searchId, { pinned: !saved?.pinned });
+  };
+
+  const deleteSavedSearch = async (searchId) => {
+    if (isAuthenticated) {
+      const result = await laravelBookService.deleteSavedSearch(searchId);
+      if (result.success) {
+        setSavedSearches(prev => prev.filter(saved => saved.id !== searchId));
+        return result;
+      }
+    }
+
+    const updated = savedSearches.filter(saved => saved.id !== searchId);
+    setSavedSearches(updated);
+    writeStorage(savedSearchesKey, updated);
+    return { success: true };
+  };
+
+  // Saved search with the same query, type, filters and advanced fields
+  const findSavedSearch = (search) => {
+    const key = getSearchKey(search);
+    return savedSearches.find(saved => getSearchKey(saved) === key);
+  };
+
+  const value = {
+    history,
+    savedSearches,
+    pinnedSearches: savedSearches.filter(saved => saved.pinned),
+    addToHistory,
+    clearHistory,
+    saveSearch,
+    updateSavedSearch,
+    togglePinned,
+    deleteSavedSearch,
+    findSavedSearch
+  };
+
+  return (
+    <SearchHistoryContext.Provider value={value}>
+      {children}
+    </SearchHistoryContext.Provider>
+  );
+};
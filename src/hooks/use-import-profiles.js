@@ -0,0 +1,110 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import laravelBookService from '../services/LaravelBookService';
+
+// Column names are matched regardless of case and surrounding spaces
+const getColumnKey = (column) => String(column || '').trim().toLowerCase();
+
+// Mapping of a profile for the columns of a file: columns the profile knows
+// take its field (or null, ignored), the rest keep the guessed one
+export const applyImportProfile = (profile, columns, guessedMapping) => columns.map((column, index) => {
+  const key = getColumnKey(column);
+  return Object.prototype.hasOwnProperty.call(profile.mapping, key) ? profile.mapping[key] : guessedMapping[index];
+});
+
+// Named column mappings of the signed in user, reused between imports of
+// files with the same columns. Profiles go through the Laravel backend and
+// fall back to localStorage, like saved searches.
+export const useImportProfiles = () => {
+  const { user, isAuthenticated } = useAuth();
+  const [profiles, setProfiles] = useState([]);
+
+  const storageKey = `import_profiles_${user?.id}`;
+
+  useEffect(() => {
+    if (isAuthenticated && user) {
+      loadProfiles();
+    } else {
+      setProfiles([]);
+    }
+  }, [isAuthenticated, user]);
+
+  const readStorage = () => {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) || [];
+    } catch (error) {
+      console.error(`Error reading ${storageKey} from localStorage:`, error);
+      return [];
+    }
+  };
+
+  const writeStorage = (value) => {
+    if (user) {
+      localStorage.setItem(storageKey, JSON.stringify(value));
+    }
+  };
+
+  const loadProfiles = async () => {
+    try {
+      const result = await laravelBookService.getImportProfiles();
+      setProfiles(result.success ? result.profiles : readStorage());
+    } catch (error) {
+      console.error('Error loading import profiles:', error);
+      setProfiles(readStorage());
+    }
+  };
+
+  // Save the mapping of the given columns; a profile with the same name is
+  // replaced
+  const saveProfile = async (name, columns, mapping) => {
+    const profileName = String(name || '').trim();
+    if (!profileName) {
+      return { success: false, error: 'El perfil necesita un nombre' };
+    }
+
+    const profileMapping = {};
+    columns.forEach((column, index) => {
+      profileMapping[getColumnKey(column)] = mapping[index] || null;
+    });
+
+    const existing = profiles.find(profile => profile.name.toLowerCase() === profileName.toLowerCase());
+    const now = new Date().toISOString();
+    let saved = existing
+      ? { ...existing, name: profileName, mapping: profileMapping, updatedAt: now }
+      : { id: `import_profile_${Date.now()}`, name: profileName, mapping: profileMapping, createdAt: now, updatedAt: now };
+
+    const result = isAuthenticated
+      ? await (existing
+        ? laravelBookService.updateImportProfile(existing.id, { name: profileName, mapping: profileMapping })
+        : laravelBookService.createImportProfile(saved))
+      : null;
+
+    if (result?.success) {
+      saved = result.profile || saved;
+      setProfiles(prev => [...prev.filter(profile => profile.id !== saved.id), saved]);
+    } else {
+      const updated = [...profiles.filter(profile => profile.id !== saved.id), saved];
+      setProfiles(updated);
+      writeStorage(updated);
+    }
+
+    return { success: true, profile: saved };
+  };
+
+  const deleteProfile = async (profileId) => {
+    if (isAuthenticated) {
+      const result = await laravelBookService.deleteImportProfile(profileId);
+      if (result.success) {
+        setProfiles(prev => prev.filter(profile => profile.id !== profileId));
+        return result;
+      }
+    }
+
+    const updated = profiles.filter(profile => profile.id !== profileId);
+    setProfiles(updated);
+    writeStorage(updated);
+    return { success: true };
+  };
+
+  return { profiles, saveProfile, deleteProfile };
+};
@@ -0,0 +1,30 @@
+import { useEffect, useRef } from 'react';
+
+// Calls onLoadMore when the element given the returned ref comes within
+// rootMargin of the viewport. The observer is recreated when a load ends,
+// so loading continues while the element stays in view.
+export const useInfiniteScroll = (onLoadMore, { enabled = true, isLoading = false, rootMargin = '800px' } = {}) => {
+  const sentinelRef = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+  onLoadMoreRef.current = onLoadMore;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+
+    if (!enabled || isLoading || !sentinel || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        observer.disconnect();
+        onLoadMoreRef.current();
+      }
+    }, { rootMargin });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [enabled, isLoading, rootMargin]);
+
+  return sentinelRef;
+};
@@ -3,10 +3,14 @@ import { useTranslation } from 'react-i18next';
 import { Card, CardContent, CardHeader, CardTitle } from '../../components/ui/card';
 import { Badge } from '../../components/ui/badge';
 import { Button } from '../../components/ui/button';
-import { BookOpen, TrendingUp, Heart, Clock, Plus, Search } from 'lucide-react';
+import { BookOpen, TrendingUp, Heart, Clock, Plus, Search, Pin, Bell, RefreshCw, X } from 'lucide-react';
+import SearchHistoryList from '../../components/books/SearchHistoryList';
 import { useAuth } from '../../context/AuthContext';
 import { useBooks } from '../../context/BooksContext';
 import { useCategories } from '../../context/CategoriesContext';
+import { useFollows } from '../../context/FollowsContext';
+import { useSearchHistory } from '../../context/SearchHistoryContext';
+import { getSearchURL } from '../../utils/searchState';
 import { useNavigate } from 'react-router-dom';
 
 const DashboardPage = () => {
@@ -15,6 +19,16 @@ const DashboardPage = () => {
   const { user } = useAuth();
   const { getReadingStats, userBooks } = useBooks();
   const { categories } = useCategories();
+  const { pinnedSearches, togglePinned } = useSearchHistory();
+  const {
+    follows,
+    notifications,
+    isChecking,
+    unfollow,
+    checkNewReleases,
+    dismissNotification,
+    clearNotifications
+  } = useFollows();
   
   const stats = getReadingStats();
 
@@ -85,6 +99,109 @@ const DashboardPage = () => {
         </Card>
       </div>
 
+      {/* New Releases */}
+      {follows.length > 0 && (
+        <Card className="mb-8">
+          <CardHeader className="flex flex-row items-center justify-between space-y-0">
+            <CardTitle className="flex items-center space-x-2">
+              <Bell className="h-5 w-5" />
+              <span>{t('dashboard.newReleases.title', 'New releases')}</span>
+              {notifications.length > 0 && <Badge>{notifications.length}</Badge>}
+            </CardTitle>
+            <div className="flex gap-2">
+              {notifications.length > 0 && (
+                <Button variant="ghost" size="sm" onClick={clearNotifications}>
+                  {t('dashboard.newReleases.clear', 'Clear')}
+                </Button>
+              )}
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => checkNewReleases({ force: true })}
+                disabled={isChecking}
+              >
+                <RefreshCw className={`mr-2 h-4 w-4 ${isChecking ? 'animate-spin' : ''}`} />
+                {t('dashboard.newReleases.check', 'Check now')}
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {notifications.length === 0 ? (
+              <p className="text-sm text-muted-foreground">
+                {t('dashboard.newReleases.empty', 'No new releases from the authors and subjects you follow yet.')}
+              </p>
+            ) : (
+              <ul className="divide-y rounded-md border">
+                {notifications.map((notification) => (
+                  <li key={notification.id} className="flex items-center gap-2 p-2">
+                    <button
+                      type="button"
+                      className="flex min-w-0 flex-1 flex-col rounded-sm px-2 py-1 text-left hover:bg-accent"
+                      onClick={() => navigate(`/book/${notification.book.source}/${notification.book.id}`)}
+                    >
+                      <span className="truncate text-sm font-medium">{notification.book.title}</span>
+                      <span className="truncate text-xs text-muted-foreground">
+                        {[notification.book.authors.join(', '), notification.book.publishedDate].filter(Boolean).join(' · ')}
+                      </span>
+                      <span className="truncate text-xs text-muted-foreground">
+                        {notification.type === 'author'
+                          ? t('dashboard.newReleases.byAuthor', 'Because you follow {{name}}', { name: notification.value })
+                          : t('dashboard.newReleases.bySubject', 'New in {{name}}', { name: notification.value })}
+                      </span>
+                    </button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => dismissNotification(notification.id)}
+                      aria-label={t('dashboard.newReleases.dismiss', 'Dismiss')}
+                    >
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-xs text-muted-foreground">
+                {t('dashboard.newReleases.following', 'Following:')}
+              </span>
+              {follows.map((item) => (
+                <Badge key={item.id} variant="outline" className="gap-1">
+                  {item.value}
+                  <button
+                    type="button"
+                    onClick={() => unfollow(item.id)}
+                    aria-label={t('follows.unfollow', 'Unfollow {{name}}', { name: item.value })}
+                  >
+                    <X className="h-3 w-3" />
+                  </button>
+                </Badge>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Pinned Searches */}
+      {pinnedSearches.length > 0 && (
+        <Card className="mb-8">
+          <CardHeader>
+            <CardTitle className="flex items-center space-x-2">
+              <Pin className="h-5 w-5" />
+              <span>{t('dashboard.savedSearches.title', 'Pinned searches')}</span>
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <SearchHistoryList
+              searches={pinnedSearches}
+              onRun={(search) => navigate(getSearchURL(search))}
+              onTogglePin={togglePinned}
+            />
+          </CardContent>
+        </Card>
+      )}
+
       {/* Quick Actions */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         {/* Recent Activity */}
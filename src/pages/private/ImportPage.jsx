@@ -4,17 +4,29 @@ import { Button } from '../../components/ui/button';
 import { Alert, AlertDescription } from '../../components/ui/alert';
 import { Progress } from '../../components/ui/progress';
 import { Badge } from '../../components/ui/badge';
+import { Label } from '../../components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../../components/ui/select';
 import { Upload, FileText, Download, CheckCircle, AlertCircle, BookOpen } from 'lucide-react';
 import { useBooks } from '../../context/BooksContext';
 import { useCategories } from '../../context/CategoriesContext';
+import ColumnMappingStep from '../../components/books/ColumnMappingStep';
+import ImportDuplicatesStep from '../../components/books/ImportDuplicatesStep';
 import excelProcessor from '../../utils/excelProcessor';
 import { useToast } from '../../hooks/use-toast';
 import { useNavigate } from 'react-router-dom';
 
+// Value of a book field for the preview table. Ratings are read as
+// personalRating and invalid ISBNs are kept apart.
+const getPreviewValue = (book, header) => {
+  if (header === 'rating') return book.personalRating;
+  if (header === 'isbn') return book.isbn || book.invalidIsbn;
+  return book[header];
+};
+
 const ImportPage = () => {
   const navigate = useNavigate();
   const { toast } = useToast();
-  const { importBooksFromData } = useBooks();
+  const { importBooksFromData, findImportDuplicates } = useBooks();
   const { importCategoriesFromData } = useCategories();
   
   const [file, setFile] = useState(null);
@@ -23,13 +35,38 @@ const ImportPage = () => {
   const [progress, setProgress] = useState(0);
   const [results, setResults] = useState(null);
   const [previewData, setPreviewData] = useState(null);
+  const [sheets, setSheets] = useState([]);
+  const [sheetName, setSheetName] = useState('');
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [pendingImport, setPendingImport] = useState(null);
+
+  // Select a file; for workbooks, list the sheets to import from
+  const selectFile = async (selectedFile) => {
+    setFile(selectedFile);
+    setResults(null);
+    setPreviewData(null);
+    setSheets([]);
+    setSheetName('');
+    setTable(null);
+    setPendingImport(null);
+
+    if (!excelProcessor.isWorkbook(selectedFile)) return;
+
+    try {
+      const workbookSheets = await excelProcessor.listSheets(selectedFile);
+      setSheets(workbookSheets);
+      setSheetName((workbookSheets.find(sheet => sheet.rowCount > 0) || workbookSheets[0])?.name || '');
+    } catch (error) {
+      // processFile reports unreadable workbooks
+      console.error('Error listing workbook sheets:', error);
+    }
+  };
 
   const handleFileSelect = (event) => {
     const selectedFile = event.target.files[0];
     if (selectedFile) {
-      setFile(selectedFile);
-      setResults(null);
-      setPreviewData(null);
+      selectFile(selectedFile);
     }
   };
 
@@ -41,15 +78,59 @@ const ImportPage = () => {
     event.preventDefault();
     const droppedFile = event.dataTransfer.files[0];
     if (droppedFile) {
-      setFile(droppedFile);
-      setResults(null);
-      setPreviewData(null);
+      selectFile(droppedFile);
     }
   };
 
+  // Read the file. CSV files and workbooks go on to the column mapping
+  // step; catalogue records and Goodreads/StoryGraph exports are imported
+  // straight away.
   const processFile = async () => {
     if (!file) return;
 
+    if (!excelProcessor.isTabular(file)) {
+      await importBooks(() => excelProcessor.processFile(file));
+      return;
+    }
+
+    setIsProcessing(true);
+    setProgress(0);
+    setProcessingStep('Leyendo archivo...');
+
+    try {
+      // CSV files report their progress as they are read
+      const tableResult = await excelProcessor.readTable(file, {
+        sheetName: sheetName || undefined,
+        onProgress: (fraction) => setProgress(Math.round(fraction * 100))
+      });
+
+      if (!tableResult.success) {
+        throw new Error(tableResult.errors.join(', '));
+      }
+
+      if (tableResult.format) {
+        toast({
+          title: `Exportación de ${tableResult.format.name} detectada`,
+          description: "Se importarán tus estanterías, valoraciones, reseñas y fechas de lectura.",
+        });
+        await importBooks(() => excelProcessor.processTable(tableResult));
+        return;
+      }
+
+      setTable(tableResult);
+      setMapping(tableResult.mapping);
+    } catch (error) {
+      handleImportError(error);
+    } finally {
+      setIsProcessing(false);
+      setProgress(0);
+      setProcessingStep('');
+    }
+  };
+
+  // Import the books of the file (a processFile result from readBooks) and
+  // their categories
+  const importBooks = async (readBooks) => {
     setIsProcessing(true);
     setProgress(0);
     setProcessingStep('Validando archivo...');
@@ -57,7 +138,7 @@ const ImportPage = () => {
     try {
       // Step 1: Process the file
       setProgress(25);
-      const fileResult = await excelProcessor.processFile(file);
+      const fileResult = await readBooks();
       
       if (!fileResult.success) {
         throw new Error(fileResult.errors.join(', '));
@@ -70,20 +151,50 @@ const ImportPage = () => {
       setPreviewData({
         headers: fileResult.headers,
         books: fileResult.data.slice(0, 5), // Preview first 5 books
-        totalBooks: fileResult.data.length
+        totalBooks: fileResult.data.length,
+        warnings: fileResult.warnings || []
       });
 
+      // Books already in the library wait for the user's decision before
+      // anything is saved
+      const duplicates = findImportDuplicates(fileResult.data);
+      if (duplicates.length > 0) {
+        setPendingImport({ books: fileResult.data, duplicates });
+        return;
+      }
+
+      await saveImport(fileResult.data);
+    } catch (error) {
+      handleImportError(error);
+    } finally {
+      setIsProcessing(false);
+      setProgress(0);
+      setProcessingStep('');
+    }
+  };
+
+  // Save the books of the file; resolutions are the decisions taken for the
+  // books already in the library
+  const saveImport = async (books, resolutions = []) => {
+    setIsProcessing(true);
+    setPendingImport(null);
+
+    try {
       setProcessingStep('Importando categorías...');
       setProgress(75);
       
-      // Step 2: Import categories
-      const categoriesResult = await importCategoriesFromData(fileResult.data);
+      // Step 2: Import categories (skipped rows add none)
+      const skipped = new Set(resolutions.filter(({ action }) => action === 'skip').map(({ index }) => index));
+      const categoriesResult = await importCategoriesFromData(books.filter((book, index) => !skipped.has(index)));
       
       setProcessingStep('Importando libros...');
       setProgress(90);
       
       // Step 3: Import books
-      const booksResult = await importBooksFromData(fileResult.data);
+      const booksResult = await importBooksFromData(books, resolutions);
+      if (!booksResult.success) {
+        throw new Error(booksResult.error || 'No se han podido importar los libros');
+      }
       
       setProgress(100);
       setProcessingStep('¡Importación completada!');
@@ -91,8 +202,12 @@ const ImportPage = () => {
       // Set results
       setResults({
         success: true,
-        totalProcessed: fileResult.data.length,
+        totalProcessed: books.length,
         booksImported: booksResult.imported || 0,
+        booksUpdated: booksResult.updated || 0,
+        booksNotUpdated: booksResult.updateErrors || 0,
+        booksUnchanged: booksResult.unchanged || 0,
+        booksSkipped: booksResult.skipped || 0,
         categoriesImported: categoriesResult.imported || 0,
         errors: booksResult.errors || 0
       });
@@ -103,17 +218,7 @@ const ImportPage = () => {
       });
 
     } catch (error) {
-      console.error('Import error:', error);
-      setResults({
-        success: false,
-        error: error.message
-      });
-      
-      toast({
-        title: "Error en la importación",
-        description: error.message,
-        variant: "destructive"
-      });
+      handleImportError(error);
     } finally {
       setIsProcessing(false);
       setProgress(0);
@@ -121,6 +226,20 @@ const ImportPage = () => {
     }
   };
 
+  const handleImportError = (error) => {
+    console.error('Import error:', error);
+    setResults({
+      success: false,
+      error: error.message
+    });
+    
+    toast({
+      title: "Error en la importación",
+      description: error.message,
+      variant: "destructive"
+    });
+  };
+
   const downloadTemplate = () => {
     excelProcessor.downloadTemplate();
     toast({
@@ -133,6 +252,11 @@ const ImportPage = () => {
     setFile(null);
     setResults(null);
     setPreviewData(null);
+    setSheets([]);
+    setSheetName('');
+    setTable(null);
+    setMapping([]);
+    setPendingImport(null);
     setProgress(0);
     setProcessingStep('');
   };
@@ -161,8 +285,10 @@ const ImportPage = () => {
               <div>
                 <h4 className="font-medium mb-2">📋 Formato de archivo:</h4>
                 <ul className="text-sm text-muted-foreground space-y-1">
-                  <li>• Archivos CSV (recomendado)</li>
-                  <li>• Archivos Excel (.xlsx, .xls)</li>
+                  <li>• Archivos CSV (recomendado), separados por comas o punto y coma, en UTF-8 o Windows-1252</li>
+                  <li>• Archivos Excel (.xlsx, .xls); si tienen varias hojas, eliges cuál importar</li>
+                  <li>• Exportaciones de Goodreads y StoryGraph (CSV), tal cual se descargan</li>
+                  <li>• Registros de biblioteca: MARC 21 (.mrc), MARCXML o Dublin Core (.xml)</li>
                   <li>• Máximo 10MB de tamaño</li>
                 </ul>
               </div>
@@ -183,6 +309,12 @@ const ImportPage = () => {
               <AlertDescription>
                 Las categorías personalizadas se crearán automáticamente si no existen.
                 Puedes usar tanto nombres en español como en inglés para las columnas.
+                Antes de importar podrás elegir el campo de cada columna y guardar la
+                asignación como perfil para tus próximos archivos.
+                Los libros que ya estén en tu biblioteca (mismo ISBN, o título y autor
+                parecidos) se pueden omitir, sobrescribir o combinar.
+                En Excel, las fechas y números se leen con su tipo y los encabezados
+                combinados (por ejemplo, "Autor" sobre "Nombre" y "Apellidos") se unen en una columna.
               </AlertDescription>
             </Alert>
 
@@ -221,8 +353,32 @@ const ImportPage = () => {
                     {(file.size / 1024 / 1024).toFixed(2)} MB
                   </p>
                 </div>
+                {sheets.length > 1 && (
+                  <div className="flex items-center justify-center gap-2">
+                    <Label htmlFor="import-sheet">Hoja</Label>
+                    <Select
+                      value={sheetName}
+                      onValueChange={(name) => {
+                        setSheetName(name);
+                        setTable(null);
+                      }}
+                      disabled={isProcessing}
+                    >
+                      <SelectTrigger id="import-sheet" className="w-64">
+                        <SelectValue placeholder="Selecciona una hoja" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {sheets.map(sheet => (
+                          <SelectItem key={sheet.name} value={sheet.name}>
+                            {sheet.name} ({sheet.rowCount} {sheet.rowCount === 1 ? 'fila' : 'filas'})
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
                 <div className="flex justify-center space-x-2">
-                  <Button onClick={processFile} disabled={isProcessing}>
+                  <Button onClick={processFile} disabled={isProcessing || Boolean(table)}>
                     {isProcessing ? (
                       <>
                         <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-primary mr-2"></div>
@@ -246,12 +402,12 @@ const ImportPage = () => {
                 <div className="space-y-2">
                   <h3 className="font-medium">Seleccionar archivo</h3>
                   <p className="text-sm text-muted-foreground">
-                    Soporta CSV, Excel (.xlsx, .xls)
+                    Soporta CSV, Excel (.xlsx, .xls), MARC 21 (.mrc), MARCXML y Dublin Core (.xml)
                   </p>
                   <div className="pt-4">
                     <input
                       type="file"
-                      accept=".csv,.xlsx,.xls"
+                      accept=".csv,.xlsx,.xls,.mrc,.marc,.xml"
                       onChange={handleFileSelect}
                       className="hidden"
                       id="file-upload"
@@ -284,6 +440,18 @@ const ImportPage = () => {
         </Card>
       )}
 
+      {/* Column Mapping */}
+      {table && !previewData && !pendingImport && !results && (
+        <ColumnMappingStep
+          table={table}
+          mapping={mapping}
+          onMappingChange={setMapping}
+          onImport={() => importBooks(() => excelProcessor.processTable(table, mapping))}
+          onCancel={resetImport}
+          isProcessing={isProcessing}
+        />
+      )}
+
       {/* Preview Data */}
       {previewData && !results && (
         <Card className="mb-6">
@@ -318,20 +486,43 @@ const ImportPage = () => {
                   <tbody>
                     {previewData.books.map((book, index) => (
                       <tr key={index} className="border-b">
-                        <td className="p-2">{book.title}</td>
-                        <td className="p-2">{book.authors}</td>
-                        <td className="p-2">{book.category}</td>
-                        <td className="p-2">{book.publishedDate}</td>
+                        {previewData.headers.slice(0, 4).map(header => (
+                          <td key={header} className="p-2">{getPreviewValue(book, header)}</td>
+                        ))}
                       </tr>
                     ))}
                   </tbody>
                 </table>
               </div>
+
+              {previewData.warnings.length > 0 && (
+                <Alert>
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>
+                    <ul className="space-y-1">
+                      {previewData.warnings.map((warning, index) => (
+                        <li key={index}>{warning}</li>
+                      ))}
+                    </ul>
+                  </AlertDescription>
+                </Alert>
+              )}
             </div>
           </CardContent>
         </Card>
       )}
 
+      {/* Books already in the library */}
+      {pendingImport && !results && (
+        <ImportDuplicatesStep
+          duplicates={pendingImport.duplicates}
+          totalBooks={pendingImport.books.length}
+          onConfirm={(resolutions) => saveImport(pendingImport.books, resolutions)}
+          onCancel={resetImport}
+          isProcessing={isProcessing}
+        />
+      )}
+
       {/* Results */}
       {results && (
         <Card>
@@ -371,6 +562,21 @@ const ImportPage = () => {
                   </div>
                 </div>
 
+                {(results.booksUpdated > 0 || results.booksUnchanged > 0 || results.booksSkipped > 0) && (
+                  <p className="text-sm text-muted-foreground text-center">
+                    Libros que ya estaban en tu biblioteca: {results.booksUpdated} actualizados, {results.booksUnchanged} sin cambios, {results.booksSkipped} omitidos.
+                  </p>
+                )}
+
+                {results.booksNotUpdated > 0 && (
+                  <Alert variant="destructive">
+                    <AlertCircle className="h-4 w-4" />
+                    <AlertDescription>
+                      No se han podido actualizar {results.booksNotUpdated} {results.booksNotUpdated === 1 ? 'libro' : 'libros'} de tu biblioteca. Vuelve a importar el archivo para intentarlo de nuevo.
+                    </AlertDescription>
+                  </Alert>
+                )}
+
                 <div className="flex justify-center space-x-4">
                   <Button onClick={() => navigate('/library')}>
                     <BookOpen className="mr-2 h-4 w-4" />
@@ -195,6 +195,7 @@ const LibraryPage = () => {
                     key={book.id}
                     book={book}
                     variant="library"
+                    onViewDetails={(libraryBook) => navigate(`/library/book/${libraryBook.id}`)}
                     className={viewMode === 'list' ? 'w-full' : ''}
                   />
                 ))}
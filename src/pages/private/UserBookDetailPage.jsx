@@ -29,9 +29,11 @@ import {
   TrendingUp,
   Award,
   Loader2,
-  Eye
+  Eye,
+  Sparkles
 } from 'lucide-react';
 import RelatedBooks from '../../components/books/RelatedBooks';
+import FieldSource from '../../components/books/FieldSource';
 import imageCache from '../../utils/imageCache';
 import { useAuth } from '../../context/AuthContext';
 import { useBooks } from '../../context/BooksContext';
@@ -46,7 +48,9 @@ const UserBookDetailPage = () => {
   const { user } = useAuth();
   const { 
     userBooks, 
+    loading: libraryLoading,
     updateBook, 
+    enrichLibraryBook,
     updateBookNotes, 
     updateBookRating, 
     updateBookProgress,
@@ -69,8 +73,11 @@ const UserBookDetailPage = () => {
   const [isUpdating, setIsUpdating] = useState(false);
 
   useEffect(() => {
-    loadUserBook();
-  }, [bookId, userBooks]);
+    // Opened from a link, the library may still be loading
+    if (!libraryLoading) {
+      loadUserBook();
+    }
+  }, [bookId, userBooks, libraryLoading]);
 
   useEffect(() => {
     if (userBook) {
@@ -227,6 +234,38 @@ const UserBookDetailPage = () => {
     }
   };
 
+  const handleEnrichBook = async () => {
+    setIsUpdating(true);
+    try {
+      const result = await enrichLibraryBook(bookId);
+      if (result.success) {
+        toast({
+          title: t('common.success'),
+          description: result.fields.length > 0
+            ? t('books.enrichment.filled', 'Completed: {{fields}}', {
+                fields: result.fields.map(field => t(`books.enrichment.fields.${field}`, field)).join(', ')
+              })
+            : t('books.enrichment.nothingFound', 'No other source had the missing details'),
+        });
+      } else {
+        toast({
+          title: t('common.error'),
+          description: result.error || 'Failed to complete book details',
+          variant: "destructive"
+        });
+      }
+    } catch (error) {
+      console.error('Error enriching book:', error);
+      toast({
+        title: t('common.error'),
+        description: 'An unexpected error occurred',
+        variant: "destructive"
+      });
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
   const handleRemoveBook = async () => {
     if (!window.confirm('Are you sure you want to remove this book from your library?')) {
       return;
@@ -349,6 +388,7 @@ const UserBookDetailPage = () => {
                       />
                     )}
                   </div>
+                  <FieldSource book={userBook} field="imageLinks" className="block text-center mt-2" />
                 </div>
 
                 {/* Book Info */}
@@ -484,6 +524,14 @@ const UserBookDetailPage = () => {
 
                   {/* Action Buttons */}
                   <div className="flex flex-wrap gap-3 pt-4">
+                    <Button
+                      variant="outline"
+                      onClick={handleEnrichBook}
+                      disabled={isUpdating}
+                    >
+                      <Sparkles className="mr-2 h-4 w-4" />
+                      {t('books.enrichment.action', 'Complete missing details')}
+                    </Button>
                     <Button 
                       variant="destructive" 
                       onClick={handleRemoveBook}
@@ -631,7 +679,9 @@ const UserBookDetailPage = () => {
               {/* Description */}
               {userBook.description && (
                 <div>
-                  <h3 className="font-semibold mb-2">Description</h3>
+                  <h3 className="font-semibold mb-2">
+                    Description <FieldSource book={userBook} field="description" className="font-normal ml-1" />
+                  </h3>
                   <p className="text-muted-foreground leading-relaxed">
                     {userBook.description}
                   </p>
@@ -650,6 +700,7 @@ const UserBookDetailPage = () => {
                       <p className="text-sm text-muted-foreground">
                         {new Date(userBook.publishedDate).getFullYear()}
                       </p>
+                      <FieldSource book={userBook} field="publishedDate" />
                     </div>
                   </div>
                 )}
@@ -660,6 +711,7 @@ const UserBookDetailPage = () => {
                     <div>
                       <p className="text-sm font-medium">Publisher</p>
                       <p className="text-sm text-muted-foreground">{userBook.publisher}</p>
+                      <FieldSource book={userBook} field="publisher" />
                     </div>
                   </div>
                 )}
@@ -672,6 +724,7 @@ const UserBookDetailPage = () => {
                       <p className="text-sm text-muted-foreground">
                         {userBook.pageCount.toLocaleString()} pages
                       </p>
+                      <FieldSource book={userBook} field="pageCount" />
                     </div>
                   </div>
                 )}
@@ -682,6 +735,18 @@ const UserBookDetailPage = () => {
                     <div>
                       <p className="text-sm font-medium">ISBN</p>
                       <p className="text-sm text-muted-foreground font-mono">{userBook.isbn}</p>
+                      <FieldSource book={userBook} field="isbn" />
+                    </div>
+                  </div>
+                )}
+
+                {!userBook.isbn && userBook.invalidIsbn && (
+                  <div className="flex items-center space-x-3">
+                    <Hash className="h-5 w-5 text-muted-foreground" />
+                    <div>
+                      <p className="text-sm font-medium">ISBN</p>
+                      <p className="text-sm text-muted-foreground font-mono">{userBook.invalidIsbn}</p>
+                      <Badge variant="destructive" className="text-xs">Invalid check digit</Badge>
                     </div>
                   </div>
                 )}
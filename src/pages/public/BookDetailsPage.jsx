@@ -22,11 +22,16 @@ import {
   Share2,
   ExternalLink,
   Loader2,
-  Eye
+  Eye,
+  Layers
 } from 'lucide-react';
 import BookCard from '../../components/books/BookCard';
 import RelatedBooks from '../../components/books/RelatedBooks';
+import EditionSelect, { formatEdition, getEditionKey } from '../../components/books/EditionSelect';
+import FieldSource, { getEnrichmentSources } from '../../components/books/FieldSource';
+import FollowButton from '../../components/books/FollowButton';
 import bookService from '../../services/BookService';
+import enrichmentService from '../../services/EnrichmentService';
 import imageCache from '../../utils/imageCache';
 import { useAuth } from '../../context/AuthContext';
 import { useBooks } from '../../context/BooksContext';
@@ -39,7 +44,7 @@ const BookDetailsPage = () => {
   const { t } = useTranslation();
   const { toast } = useToast();
   const { isAuthenticated } = useAuth();
-  const { addBookToLibrary, userBooks } = useBooks();
+  const { addBookToLibrary, findBookInLibrary } = useBooks();
   const { categories } = useCategories();
 
   const [book, setBook] = useState(null);
@@ -52,37 +57,69 @@ const BookDetailsPage = () => {
   const [isAddingToLibrary, setIsAddingToLibrary] = useState(false);
   const [reviews, setReviews] = useState([]);
   const [isLoadingReviews, setIsLoadingReviews] = useState(false);
+  const [editions, setEditions] = useState([]);
+  const [selectedEdition, setSelectedEdition] = useState(null);
 
   // Check if book is already in user library
-  const userBook = userBooks.find(ub => 
-    ub.id === `${source}_${id}` || 
-    (ub.isbn && book?.isbn && ub.isbn === book.isbn) ||
-    (ub.title === book?.title && ub.authors?.[0] === book?.authors?.[0])
-  );
+  const userBook = findBookInLibrary({ ...book, source, id });
   const isInLibrary = Boolean(userBook);
 
   useEffect(() => {
-    loadBookDetails();
+    // Cancel the previous book's requests when navigating between books
+    const controller = new AbortController();
+    loadBookDetails(controller.signal);
+    return () => controller.abort();
   }, [source, id]);
 
+  // Enrichment and cache revalidation replace the book record: these loads
+  // depend on which book is shown (and its cover), not on every update
+  const bookKey = book ? `${book.source}:${book.id}` : null;
+  const coverURL = imageCache.getOptimizedImageUrl(book?.imageLinks, 'large');
+
+  useEffect(() => {
+    if (!bookKey) return undefined;
+
+    // A slow answer for the previous book must not land on this one
+    const controller = new AbortController();
+    loadEditions(controller.signal);
+    return () => controller.abort();
+  }, [bookKey]);
+
   useEffect(() => {
-    if (book) {
+    if (bookKey && isAuthenticated) {
+      loadBookReviews();
+    }
+  }, [bookKey, isAuthenticated]);
+
+  useEffect(() => {
+    if (bookKey) {
       loadBookImage();
-      if (isAuthenticated) {
-        loadBookReviews();
-      }
     }
-  }, [book, isAuthenticated]);
+  }, [bookKey, coverURL]);
 
-  const loadBookDetails = async () => {
+  const loadBookDetails = async (signal) => {
     try {
       setIsLoading(true);
       setError(null);
 
-      const result = await bookService.getBookDetails(id, source);
+      const result = await bookService.getBookDetails(id, source, {
+        signal,
+        // A stale cached copy is replaced once the refreshed one arrives
+        onRevalidate: (freshResult) => {
+          if (!signal?.aborted && freshResult.book) {
+            setBook(freshResult.book);
+            enrichBook(freshResult.book, signal);
+          }
+        }
+      });
+
+      if (signal?.aborted) {
+        return;
+      }
       
       if (result.success && result.book) {
         setBook(result.book);
+        enrichBook(result.book, signal);
       } else {
         setError(result.error || 'Book not found');
       }
@@ -90,17 +127,25 @@ const BookDetailsPage = () => {
       console.error('Error loading book details:', error);
       setError('Failed to load book details');
     } finally {
-      setIsLoading(false);
+      if (!signal?.aborted) {
+        setIsLoading(false);
+      }
+    }
+  };
+
+  // Fill the gaps of the record (cover, description, pages...) from the
+  // other sources once it is on screen
+  const enrichBook = async (loadedBook, signal) => {
+    const result = await enrichmentService.enrichBook(loadedBook, { signal });
+    if (!signal?.aborted && result.success && result.fields.length > 0) {
+      setBook(result.book);
     }
   };
 
   const loadBookImage = async () => {
-    if (book && book.imageLinks) {
-      const url = imageCache.getOptimizedImageUrl(book.imageLinks, 'large');
-      if (url) {
-        const cachedUrl = await imageCache.getCachedImage(url);
-        setImageUrl(cachedUrl);
-      }
+    if (coverURL) {
+      const cachedUrl = await imageCache.getCachedImage(coverURL);
+      setImageUrl(cachedUrl);
     }
     
     if (!imageUrl) {
@@ -108,6 +153,16 @@ const BookDetailsPage = () => {
     }
   };
 
+  const loadEditions = async (signal) => {
+    setEditions(book.editions || []);
+    setSelectedEdition(null);
+
+    const result = await bookService.getBookEditions(book, { signal });
+    if (!signal.aborted && result.success) {
+      setEditions(result.editions);
+    }
+  };
+
   const loadBookReviews = async () => {
     try {
       setIsLoadingReviews(true);
@@ -148,7 +203,11 @@ const BookDetailsPage = () => {
 
     setIsAddingToLibrary(true);
     try {
-      const result = await addBookToLibrary(book, selectedCategory, notes);
+      const result = await addBookToLibrary(
+        bookService.selectEdition(book, selectedEdition),
+        selectedCategory,
+        notes
+      );
       
       if (result.success) {
         setIsAddDialogOpen(false);
@@ -276,6 +335,7 @@ const BookDetailsPage = () => {
                       />
                     )}
                   </div>
+                  <FieldSource book={book} field="imageLinks" className="block text-center mt-2" />
                 </div>
 
                 {/* Book Info */}
@@ -283,9 +343,21 @@ const BookDetailsPage = () => {
                   <div>
                     <h1 className="text-3xl font-bold mb-2">{book.title}</h1>
                     {book.authors && book.authors.length > 0 && (
-                      <p className="text-lg text-muted-foreground">
-                        by {book.authors.join(', ')}
-                      </p>
+                      isAuthenticated ? (
+                        <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-lg text-muted-foreground">
+                          <span>by</span>
+                          {book.authors.map((author) => (
+                            <span key={author} className="inline-flex items-center">
+                              {author}
+                              <FollowButton type="author" value={author} />
+                            </span>
+                          ))}
+                        </div>
+                      ) : (
+                        <p className="text-lg text-muted-foreground">
+                          by {book.authors.join(', ')}
+                        </p>
+                      )
                     )}
                   </div>
 
@@ -306,10 +378,14 @@ const BookDetailsPage = () => {
                   {book.categories && book.categories.length > 0 && (
                     <div className="flex flex-wrap gap-2">
                       {book.categories.slice(0, 5).map((category, index) => (
-                        <Badge key={index} variant="secondary">
-                          {category}
-                        </Badge>
+                        <span key={index} className="inline-flex items-center">
+                          <Badge variant="secondary">
+                            {category}
+                          </Badge>
+                          {isAuthenticated && <FollowButton type="subject" value={category} />}
+                        </span>
                       ))}
+                      <FieldSource book={book} field="categories" className="self-center" />
                     </div>
                   )}
 
@@ -371,7 +447,9 @@ const BookDetailsPage = () => {
               {/* Description */}
               {book.description && (
                 <div>
-                  <h3 className="font-semibold mb-2">Description</h3>
+                  <h3 className="font-semibold mb-2">
+                    Description <FieldSource book={book} field="description" className="font-normal ml-1" />
+                  </h3>
                   <p className="text-muted-foreground leading-relaxed">
                     {book.description}
                   </p>
@@ -390,6 +468,7 @@ const BookDetailsPage = () => {
                       <p className="text-sm text-muted-foreground">
                         {new Date(book.publishedDate).getFullYear()}
                       </p>
+                      <FieldSource book={book} field="publishedDate" />
                     </div>
                   </div>
                 )}
@@ -400,6 +479,7 @@ const BookDetailsPage = () => {
                     <div>
                       <p className="text-sm font-medium">Publisher</p>
                       <p className="text-sm text-muted-foreground">{book.publisher}</p>
+                      <FieldSource book={book} field="publisher" />
                     </div>
                   </div>
                 )}
@@ -412,6 +492,7 @@ const BookDetailsPage = () => {
                       <p className="text-sm text-muted-foreground">
                         {book.pageCount.toLocaleString()} {t('books.info.pages')}
                       </p>
+                      <FieldSource book={book} field="pageCount" />
                     </div>
                   </div>
                 )}
@@ -422,13 +503,62 @@ const BookDetailsPage = () => {
                     <div>
                       <p className="text-sm font-medium">ISBN</p>
                       <p className="text-sm text-muted-foreground font-mono">{book.isbn}</p>
+                      <FieldSource book={book} field="isbn" />
                     </div>
                   </div>
                 )}
               </div>
+
+              {getEnrichmentSources(book).length > 0 && (
+                <p className="text-xs text-muted-foreground">
+                  {t('books.enrichment.summary', 'Some details were completed with data from {{sources}}.', {
+                    sources: getEnrichmentSources(book).map(source => bookService.getSourceLabel(source)).join(', ')
+                  })}
+                </p>
+              )}
             </CardContent>
           </Card>
 
+          {/* Other Editions */}
+          {editions.length > 1 && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center space-x-2">
+                  <Layers className="h-5 w-5" />
+                  <span>{t('books.editions.title', 'Other editions')}</span>
+                  <Badge variant="secondary">{editions.length}</Badge>
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-2">
+                  {editions.slice(0, 20).map((edition) => (
+                    <div
+                      key={getEditionKey(edition)}
+                      className="flex items-center justify-between border rounded-lg p-3"
+                    >
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium truncate">{edition.title || book.title}</p>
+                        <p className="text-xs text-muted-foreground">{formatEdition(edition)}</p>
+                      </div>
+                      {isAuthenticated && !isInLibrary && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => {
+                            setSelectedEdition(edition);
+                            setIsAddDialogOpen(true);
+                          }}
+                        >
+                          <Plus className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
           {/* User Reviews (if authenticated) */}
           {isAuthenticated && (
             <Card>
@@ -530,6 +660,12 @@ const BookDetailsPage = () => {
               </Select>
             </div>
 
+            <EditionSelect
+              editions={editions}
+              value={selectedEdition ? getEditionKey(selectedEdition) : ''}
+              onChange={setSelectedEdition}
+            />
+
             <div className="space-y-2">
               <Label htmlFor="notes">{t('books.actions.optionalNotes')}</Label>
               <Textarea
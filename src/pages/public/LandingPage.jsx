@@ -21,7 +21,7 @@ const LandingPage = () => {
   const loadFeaturedBooks = async () => {
     try {
       setIsLoadingBooks(true);
-      const result = await bookService.getPopularBooks({ maxResults: 8 });
+      const result = await bookService.getPopularBooks({ pageSize: 8 });
       if (result.success) {
         setFeaturedBooks(result.books);
       }
@@ -1,56 +1,188 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
 import { Button } from '../../components/ui/button';
-import { Input } from '../../components/ui/input';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../../components/ui/select';
 import { Badge } from '../../components/ui/badge';
 import { Card, CardContent } from '../../components/ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '../../components/ui/tabs';
-import { Search, Filter, BookOpen, Loader2, Grid, List, SortAsc, SortDesc } from 'lucide-react';
+import { Search, Filter, BookOpen, Loader2, Grid, List, SortAsc, SortDesc, SlidersHorizontal, Bookmark, BookmarkCheck, Trash2, RefreshCw, Infinity as InfinityIcon } from 'lucide-react';
 import BookCard from '../../components/books/BookCard';
+import AdvancedSearchPanel from '../../components/books/AdvancedSearchPanel';
+import OpdsCatalogDialog from '../../components/books/OpdsCatalogDialog';
+import SearchSuggestions from '../../components/books/SearchSuggestions';
+import SearchHistoryList from '../../components/books/SearchHistoryList';
+import SearchFacets from '../../components/books/SearchFacets';
+import VirtualBookGrid from '../../components/books/VirtualBookGrid';
 import bookService from '../../services/BookService';
+import recommendationService from '../../services/RecommendationService';
+import { useAuth } from '../../context/AuthContext';
+import { useBooks } from '../../context/BooksContext';
+import { useSearchHistory } from '../../context/SearchHistoryContext';
 import { useToast } from '../../hooks/use-toast';
+import { useInfiniteScroll } from '../../hooks/use-infinite-scroll';
+import { ANY_LANGUAGE, getPreferredLanguage } from '../../utils/searchLanguage';
+import { searchToParams, searchFromParams } from '../../utils/searchState';
+import {
+  EMPTY_FACETS,
+  applyFacets,
+  isFacetStateEmpty,
+  facetsFromParams,
+  withFacetParams,
+  withoutFacetParams
+} from '../../utils/searchFacets';
+import {
+  isAdvancedQueryEmpty,
+  describeAdvancedQuery,
+  advancedQueryFromParams
+} from '../../utils/advancedQuery';
 
 const SearchPage = () => {
   const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
   const { toast } = useToast();
+  const { user, isAuthenticated } = useAuth();
+  const { userBooks } = useBooks();
+  const {
+    history,
+    savedSearches,
+    addToHistory,
+    clearHistory,
+    saveSearch,
+    togglePinned,
+    deleteSavedSearch,
+    findSavedSearch
+  } = useSearchHistory();
+  // Search type and filters can come from the URL (history, saved searches)
+  const [initialSearch] = useState(() => searchFromParams(searchParams));
   
   const [query, setQuery] = useState(searchParams.get('q') || '');
   const [books, setBooks] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [hasMore, setHasMore] = useState(false);
   const [totalResults, setTotalResults] = useState(0);
-  const [currentPage, setCurrentPage] = useState(0);
-  const [searchType, setSearchType] = useState('general');
-  const [sortBy, setSortBy] = useState('relevance');
+  // Cursor of the next page, null when there are no more results
+  const [nextCursor, setNextCursor] = useState(null);
+  const [searchType, setSearchType] = useState(initialSearch.searchType);
+  const [sortBy, setSortBy] = useState(initialSearch.filters.sortBy || 'relevance');
   const [viewMode, setViewMode] = useState('grid');
-  const [filters, setFilters] = useState({
-    language: 'all',
+  // Load the next page when the end of the results comes into view
+  const [infiniteScroll, setInfiniteScroll] = useState(() => localStorage.getItem('search_infinite_scroll') !== 'false');
+  // The last page failed to load: automatic loading waits for a manual retry
+  const [loadMoreFailed, setLoadMoreFailed] = useState(false);
+  const [filters, setFilters] = useState(() => ({
+    language: initialSearch.filters.language || getPreferredLanguage(),
     maxResults: 20,
-    source: 'all'
-  });
+    source: initialSearch.filters.source || 'all'
+  }));
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  // Registered sources, refreshed when OPDS catalogues are added or removed
+  const [adapters, setAdapters] = useState(() => bookService.getAdapters());
+  // Fields being edited in the advanced panel / query of the current results
+  const [advancedQuery, setAdvancedQuery] = useState({});
+  const [activeAdvancedQuery, setActiveAdvancedQuery] = useState(null);
+
+  // Sources change with the user's OPDS catalogues: those of the user who
+  // signs in, and the ones added or removed in the dialog
+  useEffect(() => {
+    setAdapters(bookService.getAdapters());
+  }, [user?.id]);
+
+  const refreshAdapters = () => {
+    const available = bookService.getAdapters();
+    setAdapters(available);
+    if (!available.some(adapter => adapter.source === filters.source)) {
+      setFilters(prev => ({ ...prev, source: 'all' }));
+    }
+  };
+
+  // Facets narrowing the loaded results, kept in the URL
+  const facets = useMemo(() => facetsFromParams(searchParams), [searchParams]);
+  const filteredBooks = useMemo(() => applyFacets(books, facets), [books, facets]);
+  // The personalized sort re-ranks the loaded results with the user's library
+  const isPersonalized = sortBy === 'personalized' && isAuthenticated;
+  const ranking = useMemo(() => (
+    isPersonalized
+      ? recommendationService.rankSearchResults(filteredBooks, userBooks)
+      : { books: filteredBooks, reasons: new Map() }
+  ), [filteredBooks, userBooks, isPersonalized]);
+  const visibleBooks = ranking.books;
+  // The URL without the facets: changing a facet does not search again
+  const searchParamsKey = withoutFacetParams(searchParams).toString();
 
-  // Load search results
-  const performSearch = useCallback(async (searchQuery, page = 0, append = false) => {
-    if (!searchQuery.trim()) {
+  const setFacets = (nextFacets) => {
+    setSearchParams(withFacetParams(searchParams, nextFacets), { replace: true });
+  };
+
+  // In-flight search, aborted when a newer one starts
+  const searchControllerRef = useRef(null);
+  // Id of the latest search, so background cache refreshes of older ones are ignored
+  const searchIdRef = useRef(0);
+
+  const cancelPendingSearch = () => {
+    if (searchControllerRef.current) {
+      searchControllerRef.current.abort();
+      searchControllerRef.current = null;
+      setIsLoading(false);
+    }
+  };
+
+  // Stop pending requests when leaving the page
+  useEffect(() => cancelPendingSearch, []);
+
+  // Load search results. `cursor` loads the next page and appends it; `advanced` is a structured
+  // query whose free text is `searchQuery`
+  const performSearch = useCallback(async (searchQuery, cursor = null, advanced = null) => {
+    cancelPendingSearch();
+    const append = Boolean(cursor);
+    setLoadMoreFailed(false);
+
+    if (!append) {
+      setActiveAdvancedQuery(advanced);
+    }
+
+    const isEmpty = advanced
+      ? isAdvancedQueryEmpty({ ...advanced, text: searchQuery })
+      : !searchQuery.trim();
+
+    if (isEmpty) {
       setBooks([]);
       setHasMore(false);
+      setNextCursor(null);
       setTotalResults(0);
       return;
     }
 
+    const controller = new AbortController();
+    searchControllerRef.current = controller;
+    const searchId = ++searchIdRef.current;
+
     setIsLoading(true);
     try {
       const options = {
-        maxResults: filters.maxResults,
-        startIndex: page * filters.maxResults,
-        orderBy: sortBy,
-        langRestrict: filters.language !== 'all' ? filters.language : undefined
+        pageSize: filters.maxResults,
+        cursor,
+        // Personalized results are re-ranked here, the sources sort by relevance
+        orderBy: sortBy === 'personalized' ? 'relevance' : sortBy,
+        language: filters.language,
+        source: filters.source,
+        signal: controller.signal,
+        // Cached results may be stale: show the refreshed ones when they arrive
+        onRevalidate: (freshResult) => {
+          if (searchIdRef.current !== searchId || append || !freshResult.success) {
+            return;
+          }
+          setBooks(freshResult.books || []);
+          setHasMore(freshResult.hasMore || false);
+          setNextCursor(freshResult.nextCursor || null);
+          setTotalResults(freshResult.totalItems || 0);
+        }
       };
 
       let result;
-      switch (searchType) {
+      switch (advanced ? 'advanced' : searchType) {
+        case 'advanced':
+          result = await bookService.searchAdvanced({ ...advanced, text: searchQuery }, options);
+          break;
         case 'author':
           result = await bookService.searchByAuthor(searchQuery, options);
           break;
@@ -67,10 +199,16 @@ const SearchPage = () => {
           result = await bookService.searchBooks(searchQuery, options);
       }
 
+      // A newer search replaced this one
+      if (controller.signal.aborted || result.aborted) {
+        return;
+      }
+
       if (result.success) {
         const newBooks = result.books || [];
-        setBooks(prev => append ? [...prev, ...newBooks] : newBooks);
+        setBooks(prev => append ? bookService.appendBookPage(prev, newBooks) : newBooks);
         setHasMore(result.hasMore || false);
+        setNextCursor(result.nextCursor || null);
         setTotalResults(result.totalItems || 0);
         
         if (newBooks.length === 0 && !append) {
@@ -86,49 +224,150 @@ const SearchPage = () => {
           variant: "destructive"
         });
         
-        if (!append) {
+        if (append) {
+          setLoadMoreFailed(true);
+        } else {
           setBooks([]);
           setHasMore(false);
+          setNextCursor(null);
           setTotalResults(0);
         }
       }
     } catch (error) {
+      if (controller.signal.aborted) {
+        return;
+      }
       console.error('Search error:', error);
       toast({
         title: "Error de conexión",
         description: "No se pudo conectar con los servicios de búsqueda. Verifica tu conexión.",
         variant: "destructive"
       });
+      if (append) {
+        setLoadMoreFailed(true);
+      }
     } finally {
-      setIsLoading(false);
+      if (searchControllerRef.current === controller) {
+        searchControllerRef.current = null;
+        setIsLoading(false);
+      }
     }
   }, [searchType, sortBy, filters, toast]);
 
+  // The search the page would run for a text and advanced query, with the
+  // current type and filters
+  const describeCurrentSearch = (text, advanced = null) => ({
+    query: text,
+    searchType,
+    filters: { language: filters.language, source: filters.source, sortBy },
+    advanced
+  });
+
+  // Record the search in the history and put it in the URL
+  const recordSearch = (search) => {
+    addToHistory(search);
+    setSearchParams(searchToParams(search));
+  };
+
+  // Search for a text typed or picked in the search box
+  const runQuery = (text) => {
+    setQuery(text);
+    if (text.trim()) {
+      recordSearch(describeCurrentSearch(text));
+      performSearch(text);
+    }
+  };
+
+  // Run a search from the history or the saved searches. The new type and
+  // filters reach performSearch on the next render, through the URL effect.
+  const runStoredSearch = (search) => {
+    setQuery(search.query || '');
+    setSearchType(search.searchType || 'general');
+    setSortBy(search.filters?.sortBy || 'relevance');
+    setFilters(prev => ({
+      ...prev,
+      language: search.filters?.language || prev.language,
+      source: search.filters?.source || 'all'
+    }));
+    setAdvancedQuery(search.advanced || {});
+    setShowAdvanced(Boolean(search.advanced));
+    recordSearch(search);
+  };
+
+  const handleSaveSearch = async () => {
+    const result = await saveSearch(describeCurrentSearch(query, activeAdvancedQuery));
+    toast(result.success ? {
+      title: "Búsqueda guardada",
+      description: "Fíjala para tenerla a mano en tu panel.",
+    } : {
+      title: "No se pudo guardar la búsqueda",
+      description: result.error,
+      variant: "destructive"
+    });
+  };
+
   // Handle search form submission
   const handleSearch = (e) => {
     e.preventDefault();
-    if (query.trim()) {
-      setSearchParams({ q: query });
-      setCurrentPage(0);
-      performSearch(query, 0);
-    }
+    runQuery(query);
+  };
+
+  // Author picked in the suggestions: search by that author only
+  const searchAuthor = (author) => {
+    const advanced = { author };
+    setQuery('');
+    setAdvancedQuery(advanced);
+    recordSearch(describeCurrentSearch('', advanced));
+    performSearch('', null, advanced);
   };
 
   // Load more results
   const loadMore = () => {
-    const nextPage = currentPage + 1;
-    setCurrentPage(nextPage);
-    performSearch(query, nextPage, true);
+    if (nextCursor) {
+      performSearch(query, nextCursor, activeAdvancedQuery);
+    }
+  };
+
+  const loadMoreRef = useInfiniteScroll(loadMore, {
+    enabled: infiniteScroll && hasMore && !loadMoreFailed,
+    isLoading
+  });
+
+  const toggleInfiniteScroll = () => {
+    localStorage.setItem('search_infinite_scroll', String(!infiniteScroll));
+    setInfiniteScroll(!infiniteScroll);
+  };
+
+  // Run the advanced query together with the main search box text
+  const handleAdvancedSearch = (advanced) => {
+    recordSearch(describeCurrentSearch(query, advanced));
+    performSearch(query, null, advanced);
+  };
+
+  const clearAdvancedSearch = () => {
+    setAdvancedQuery({});
+    if (activeAdvancedQuery) {
+      setSearchParams(query.trim() ? searchToParams(describeCurrentSearch(query)) : {});
+      setActiveAdvancedQuery(null);
+    }
   };
 
   // Load initial search if query exists
   useEffect(() => {
-    const initialQuery = searchParams.get('q');
-    if (initialQuery) {
+    const params = new URLSearchParams(searchParamsKey);
+    const initialQuery = params.get('q') || '';
+    const initialAdvanced = advancedQueryFromParams(params);
+
+    if (initialAdvanced) {
+      setQuery(initialQuery);
+      setAdvancedQuery(initialAdvanced);
+      setShowAdvanced(true);
+      performSearch(initialQuery, null, initialAdvanced);
+    } else if (initialQuery) {
       setQuery(initialQuery);
-      performSearch(initialQuery, 0);
+      performSearch(initialQuery);
     }
-  }, [searchParams, performSearch]);
+  }, [searchParamsKey, performSearch]);
 
   // Quick search suggestions
   const quickSearches = [
@@ -159,12 +398,16 @@ const SearchPage = () => {
         <form onSubmit={handleSearch} className="space-y-4">
           <div className="flex gap-2">
             <div className="flex-1">
-              <Input
-                type="text"
-                placeholder="Buscar por título, autor, ISBN..."
+              <SearchSuggestions
                 value={query}
-                onChange={(e) => setQuery(e.target.value)}
-                className="h-12 text-lg"
+                onChange={(text) => {
+                  cancelPendingSearch();
+                  setQuery(text);
+                }}
+                onSearch={runQuery}
+                onSearchAuthor={searchAuthor}
+                onRunSearch={runStoredSearch}
+                language={filters.language}
               />
             </div>
             <Button type="submit" size="lg" disabled={isLoading}>
@@ -198,29 +441,78 @@ const SearchPage = () => {
                 <SelectValue />
               </SelectTrigger>
               <SelectContent>
-                <SelectItem value="all">Todos los idiomas</SelectItem>
+                <SelectItem value={ANY_LANGUAGE}>Todos los idiomas</SelectItem>
                 <SelectItem value="es">Español</SelectItem>
                 <SelectItem value="en">Inglés</SelectItem>
                 <SelectItem value="fr">Francés</SelectItem>
                 <SelectItem value="de">Alemán</SelectItem>
                 <SelectItem value="it">Italiano</SelectItem>
+                {![ANY_LANGUAGE, 'es', 'en', 'fr', 'de', 'it'].includes(filters.language) && (
+                  <SelectItem value={filters.language}>{filters.language.toUpperCase()}</SelectItem>
+                )}
+              </SelectContent>
+            </Select>
+
+            <Select value={filters.source} onValueChange={(value) => 
+              setFilters(prev => ({ ...prev, source: value }))
+            }>
+              <SelectTrigger className="w-44">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">Todas las fuentes</SelectItem>
+                {adapters.map(adapter => (
+                  <SelectItem key={adapter.source} value={adapter.source}>
+                    Solo {adapter.displayName}
+                  </SelectItem>
+                ))}
               </SelectContent>
             </Select>
 
-            <Select value={sortBy} onValueChange={setSortBy}>
+            <Select value={sortBy === 'personalized' && !isAuthenticated ? 'relevance' : sortBy} onValueChange={setSortBy}>
               <SelectTrigger className="w-32">
                 <SelectValue />
               </SelectTrigger>
               <SelectContent>
                 <SelectItem value="relevance">Relevancia</SelectItem>
                 <SelectItem value="newest">Más Recientes</SelectItem>
+                {isAuthenticated && (
+                  <SelectItem value="personalized">Para ti</SelectItem>
+                )}
               </SelectContent>
             </Select>
+
+            <Button
+              type="button"
+              variant={showAdvanced ? 'secondary' : 'ghost'}
+              size="sm"
+              onClick={() => setShowAdvanced(prev => !prev)}
+            >
+              <SlidersHorizontal className="mr-2 h-4 w-4" />
+              Búsqueda avanzada
+            </Button>
+
+            {isAuthenticated && (
+              <OpdsCatalogDialog onChange={refreshAdapters} />
+            )}
           </div>
         </form>
 
+        {showAdvanced && (
+          <div className="mt-4">
+            <AdvancedSearchPanel
+              value={advancedQuery}
+              text={query}
+              onChange={setAdvancedQuery}
+              onSubmit={handleAdvancedSearch}
+              onClear={clearAdvancedSearch}
+              isLoading={isLoading}
+            />
+          </div>
+        )}
+
         {/* Quick Searches */}
-        {!query && (
+        {!query && !showAdvanced && (
           <div className="mt-6">
             <p className="text-sm text-muted-foreground mb-3">Búsquedas populares:</p>
             <div className="flex flex-wrap gap-2">
@@ -229,11 +521,7 @@ const SearchPage = () => {
                   key={index}
                   variant="secondary"
                   className="cursor-pointer hover:bg-secondary/80"
-                  onClick={() => {
-                    setQuery(search);
-                    setSearchParams({ q: search });
-                    performSearch(search, 0);
-                  }}
+                  onClick={() => runQuery(search)}
                 >
                   {search}
                 </Badge>
@@ -241,6 +529,36 @@ const SearchPage = () => {
             </div>
           </div>
         )}
+
+        {/* Search History and Saved Searches */}
+        {!query && !showAdvanced && (history.length > 0 || savedSearches.length > 0) && (
+          <div className="mt-8 grid gap-6 md:grid-cols-2">
+            {savedSearches.length > 0 && (
+              <div>
+                <p className="text-sm text-muted-foreground mb-3">Búsquedas guardadas:</p>
+                <SearchHistoryList
+                  searches={savedSearches}
+                  onRun={runStoredSearch}
+                  onTogglePin={togglePinned}
+                  onDelete={deleteSavedSearch}
+                />
+              </div>
+            )}
+
+            {history.length > 0 && (
+              <div>
+                <div className="flex items-center justify-between mb-3">
+                  <p className="text-sm text-muted-foreground">Historial de búsqueda:</p>
+                  <Button type="button" variant="ghost" size="sm" onClick={clearHistory}>
+                    <Trash2 className="mr-2 h-4 w-4" />
+                    Borrar historial
+                  </Button>
+                </div>
+                <SearchHistoryList searches={history.slice(0, 8)} onRun={runStoredSearch} />
+              </div>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Results */}
@@ -250,17 +568,46 @@ const SearchPage = () => {
           <div className="flex items-center justify-between mb-6">
             <div className="flex items-center space-x-4">
               <p className="text-sm text-muted-foreground">
-                {totalResults.toLocaleString()} resultados para "{query}"
+                {totalResults.toLocaleString()} resultados para "{activeAdvancedQuery
+                  ? describeAdvancedQuery({ ...activeAdvancedQuery, text: query })
+                  : query}"
               </p>
               {books.length > 0 && (
                 <Badge variant="outline">
                   Mostrando {books.length} de {totalResults.toLocaleString()}
                 </Badge>
               )}
+              {!isFacetStateEmpty(facets) && (
+                <Badge variant="secondary">
+                  {visibleBooks.length} con los filtros
+                </Badge>
+              )}
+              {isAuthenticated && (
+                findSavedSearch(describeCurrentSearch(query, activeAdvancedQuery)) ? (
+                  <Badge variant="secondary">
+                    <BookmarkCheck className="mr-1 h-3 w-3" />
+                    Guardada
+                  </Badge>
+                ) : (
+                  <Button variant="ghost" size="sm" onClick={handleSaveSearch}>
+                    <Bookmark className="mr-2 h-4 w-4" />
+                    Guardar búsqueda
+                  </Button>
+                )
+              )}
             </div>
 
             {/* View Toggle */}
             <div className="flex items-center space-x-2">
+              <Button
+                variant={infiniteScroll ? 'default' : 'outline'}
+                size="sm"
+                onClick={toggleInfiniteScroll}
+                aria-pressed={infiniteScroll}
+                title="Desplazamiento infinito"
+              >
+                <InfinityIcon className="h-4 w-4" />
+              </Button>
               <Button
                 variant={viewMode === 'grid' ? 'default' : 'outline'}
                 size="sm"
@@ -278,57 +625,92 @@ const SearchPage = () => {
             </div>
           </div>
 
-          {/* Books Grid/List */}
-          <div className={`grid gap-6 ${
-            viewMode === 'grid' 
-              ? 'md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4' 
-              : 'grid-cols-1 max-w-4xl mx-auto'
-          }`}>
-            {books.map((book, index) => (
-              <BookCard
-                key={`${book.source}_${book.id}_${index}`}
-                book={book}
-                variant="search"
-                className={viewMode === 'list' ? 'w-full' : ''}
-                onViewDetails={(book) => navigate(`/book/${book.source}/${book.id}`)}
-                onAddToLibrary={(book) => {
-                  toast({
-                    title: "¡Libro añadido!",
-                    description: `"${book.title}" se ha añadido a tu biblioteca.`,
-                  });
-                }}
-              />
-            ))}
-          </div>
+          <div className="grid gap-8 lg:grid-cols-[16rem_1fr]">
+            {/* Facets */}
+            <aside>
+              <SearchFacets books={books} value={facets} onChange={setFacets} />
+            </aside>
 
-          {/* Load More */}
-          {hasMore && (
-            <div className="text-center mt-8">
-              <Button
-                onClick={loadMore}
-                disabled={isLoading}
-                size="lg"
-                variant="outline"
-              >
-                {isLoading ? (
-                  <>
-                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                    Cargando...
-                  </>
-                ) : (
-                  <>
-                    <BookOpen className="mr-2 h-4 w-4" />
-                    Cargar Más Libros
-                  </>
+            <div>
+              {visibleBooks.length === 0 && (
+                <div className="text-center py-12">
+                  <Filter className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+                  <p className="text-muted-foreground mb-4">
+                    Ningún libro cargado cumple los filtros.
+                  </p>
+                  <Button variant="outline" onClick={() => setFacets(EMPTY_FACETS)}>
+                    Quitar filtros
+                  </Button>
+                </div>
+              )}
+
+              {/* Books Grid/List: only the rows near the viewport are mounted */}
+              <VirtualBookGrid
+                key={viewMode}
+                items={visibleBooks}
+                maxColumns={viewMode === 'grid' ? 3 : 1}
+                estimatedRowHeight={viewMode === 'grid' ? 420 : 240}
+                className={viewMode === 'list' ? 'max-w-4xl mx-auto' : ''}
+                getKey={(book, index) => `${book.source}_${book.id}_${index}`}
+                renderItem={(book) => (
+                  <BookCard
+                    book={book}
+                    variant="search"
+                    rankingReasons={ranking.reasons.get(book)}
+                    className={viewMode === 'list' ? 'w-full' : ''}
+                    onViewDetails={(book) => navigate(`/book/${book.source}/${book.id}`)}
+                    onAddToLibrary={(book) => {
+                      toast({
+                        title: "¡Libro añadido!",
+                        description: `"${book.title}" se ha añadido a tu biblioteca.`,
+                      });
+                    }}
+                  />
                 )}
-              </Button>
+              />
+
+              {/* Infinite Scroll */}
+              {hasMore && infiniteScroll && !loadMoreFailed && (
+                <div ref={loadMoreRef} className="flex justify-center py-8">
+                  {isLoading && <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />}
+                </div>
+              )}
+
+              {/* Load More (also the retry after a failed automatic load) */}
+              {hasMore && (!infiniteScroll || loadMoreFailed) && (
+                <div className="text-center mt-8">
+                  <Button
+                    onClick={loadMore}
+                    disabled={isLoading}
+                    size="lg"
+                    variant="outline"
+                  >
+                    {isLoading ? (
+                      <>
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        Cargando...
+                      </>
+                    ) : loadMoreFailed ? (
+                      <>
+                        <RefreshCw className="mr-2 h-4 w-4" />
+                        Reintentar
+                      </>
+                    ) : (
+                      <>
+                        <BookOpen className="mr-2 h-4 w-4" />
+                        Cargar Más Libros
+                      </>
+                    )}
+                  </Button>
+                </div>
+              )}
             </div>
-          )}
+          </div>
         </div>
       )}
 
       {/* Empty State */}
-      {!isLoading && books.length === 0 && query && (
+      {!isLoading && books.length === 0 && (query || activeAdvancedQuery) && (
         <div className="max-w-md mx-auto text-center py-12">
           <BookOpen className="h-16 w-16 text-muted-foreground mx-auto mb-4" />
           <h3 className="text-lg font-semibold mb-2">No se encontraron resultados</h3>
@@ -338,6 +720,8 @@ const SearchPage = () => {
           <Button variant="outline" onClick={() => {
             setQuery('');
             setBooks([]);
+            setAdvancedQuery({});
+            setActiveAdvancedQuery(null);
             setSearchParams({});
           }}>
             Limpiar Búsqueda
@@ -1,49 +1,632 @@
 import GoogleBooksAdapter from './api/GoogleBooksAdapter';
 import OpenLibraryAdapter from './api/OpenLibraryAdapter';
+import FixtureAdapter from './api/FixtureAdapter';
+import OpdsAdapter from './api/OpdsAdapter';
+import { getBookMatchKeys, mergeEditions } from '../utils/bookMatching';
+import persistentCache from '../utils/persistentCache';
+import { normalizeAdvancedQuery, isAdvancedQueryEmpty } from '../utils/advancedQuery';
+import { isValidISBN, normalizeISBN } from '../utils/isbn';
+import { encodeCursor, decodeCursor } from '../utils/pagination';
+import { resolveSearchLanguage } from '../utils/searchLanguage';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Adapters that can be enabled through REACT_APP_BOOK_SOURCES, a comma
+// separated list in priority order, e.g. "fixtures" to work offline
+const ADAPTER_FACTORIES = {
+  'google-books': () => new GoogleBooksAdapter(),
+  'open-library': () => new OpenLibraryAdapter(),
+  fixtures: () => new FixtureAdapter()
+};
+const DEFAULT_SOURCES = 'google-books,open-library';
+
+// OPDS catalogues added by each user, stored under their user id. Their
+// passwords are kept apart, for the browser session only, and cleared on
+// logout.
+const OPDS_STORAGE_KEY = 'opds_endpoints';
+const OPDS_CREDENTIALS_KEY = 'opds_credentials';
 
 class BookService {
   constructor() {
-    // Initialize adapters
-    this.googleBooks = new GoogleBooksAdapter();
-    this.openLibrary = new OpenLibraryAdapter();
-    
-    // Default primary and fallback APIs
-    this.primaryAPI = this.googleBooks;
-    this.fallbackAPI = this.openLibrary;
+    // Registered adapters keyed by source id
+    this.adapters = new Map();
+
+    // Default adapters: Google Books first, Open Library as fallback
+    this.registerConfiguredAdapters(process.env.REACT_APP_BOOK_SOURCES || DEFAULT_SOURCES);
+
+    // Signed in user whose OPDS catalogues are registered (see setOPDSUser)
+    this.opdsUserId = null;
     
-    // Cache for search results
+    // In-memory cache in front of the persistent (IndexedDB) cache
     this.searchCache = new Map();
-    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.cacheTimeout = 5 * MINUTE;
+
+    // Fresh lifetime and stale-while-revalidate window per namespace
+    this.cachePolicies = {
+      search: { ttl: 15 * MINUTE, staleTtl: DAY },
+      emptySearch: { ttl: MINUTE, staleTtl: 0 },
+      details: { ttl: DAY, staleTtl: 7 * DAY },
+      editions: { ttl: DAY, staleTtl: 7 * DAY },
+      enrichment: { ttl: DAY, staleTtl: 7 * DAY },
+      suggestions: { ttl: 10 * MINUTE, staleTtl: 0 }
+    };
+
+    // Cache keys currently being refreshed in the background
+    this.revalidating = new Set();
+  }
+
+  // Register an adapter under its source id. Lower priority runs first.
+  registerAdapter(adapter, { priority, enabled = true } = {}) {
+    if (!adapter?.source || adapter.source === 'unknown') {
+      throw new Error('Adapter must declare a source id');
+    }
+
+    const lowestPriority = Math.max(0, ...Array.from(this.adapters.values()).map(entry => entry.priority));
+
+    this.adapters.set(adapter.source, {
+      adapter,
+      priority: priority ?? lowestPriority + 10,
+      enabled
+    });
+
+    return adapter;
+  }
+
+  // Register the adapters named in a comma separated source list
+  registerConfiguredAdapters(sourceList) {
+    sourceList
+      .split(',')
+      .map(source => source.trim())
+      .filter(Boolean)
+      .forEach((source, index) => {
+        const createAdapter = ADAPTER_FACTORIES[source];
+        if (!createAdapter) {
+          console.warn(`Unknown book source in REACT_APP_BOOK_SOURCES: ${source}`);
+          return;
+        }
+        this.registerAdapter(createAdapter(), { priority: (index + 1) * 10 });
+      });
+  }
+
+  // OPDS catalogues of the signed in user (without their passwords)
+  getOPDSEndpoints() {
+    if (!this.opdsUserId) return [];
+
+    try {
+      return JSON.parse(localStorage.getItem(`${OPDS_STORAGE_KEY}_${this.opdsUserId}`)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveOPDSEndpoints(endpoints) {
+    localStorage.setItem(`${OPDS_STORAGE_KEY}_${this.opdsUserId}`, JSON.stringify(endpoints));
+  }
+
+  // Register the OPDS catalogues of the signed in user (null when signed
+  // out) in place of the previous user's. They run after the configured
+  // sources.
+  setOPDSUser(userId) {
+    if ((userId ?? null) === this.opdsUserId) return;
+
+    this.getOPDSEndpoints().forEach(endpoint => this.unregisterAdapter(`opds:${endpoint.id}`));
+    this.opdsUserId = userId ?? null;
+    this.getOPDSEndpoints().forEach(endpoint => this.registerAdapter(this.createOPDSAdapter(endpoint)));
+    this.clearCache('search');
+  }
+
+  // Passwords of the OPDS catalogues for this session, by catalogue id
+  getOPDSPasswords() {
+    try {
+      return JSON.parse(sessionStorage.getItem(OPDS_CREDENTIALS_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Whether a catalogue with a user needs its password typed again
+  needsOPDSPassword(endpoint) {
+    return Boolean(endpoint.username) && !this.getOPDSPasswords()[endpoint.id];
+  }
+
+  createOPDSAdapter(endpoint) {
+    return new OpdsAdapter({ ...endpoint, password: this.getOPDSPasswords()[endpoint.id] || '' });
+  }
+
+  // Set the password of a catalogue for this session
+  setOPDSPassword(id, password) {
+    const endpoint = this.getOPDSEndpoints().find(item => item.id === id);
+    if (!endpoint) {
+      return { success: false, error: 'Unknown catalogue' };
+    }
+
+    sessionStorage.setItem(OPDS_CREDENTIALS_KEY, JSON.stringify({ ...this.getOPDSPasswords(), [id]: password }));
+    this.registerAdapter(this.createOPDSAdapter(endpoint), { priority: this.adapters.get(`opds:${id}`)?.priority });
+    this.clearCache('search');
+    return { success: true };
+  }
+
+  // Forget the catalogue passwords (on logout)
+  clearOPDSCredentials() {
+    sessionStorage.removeItem(OPDS_CREDENTIALS_KEY);
+    this.getOPDSEndpoints().forEach(endpoint => {
+      const entry = this.adapters.get(`opds:${endpoint.id}`);
+      if (entry) {
+        this.registerAdapter(this.createOPDSAdapter(endpoint), { priority: entry.priority, enabled: entry.enabled });
+      }
+    });
+    this.clearCache('search');
+  }
+
+  // Save an OPDS catalogue (root feed or OpenSearch descriptor URL) and
+  // add it to the registry
+  addOPDSEndpoint({ name, url, username = '', password = '' }) {
+    try {
+      if (!this.opdsUserId) {
+        throw new Error('Sign in to add catalogues');
+      }
+
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('Only http and https catalogues are supported');
+      }
+
+      const endpoint = {
+        id: Date.now().toString(36),
+        name: String(name || '').trim() || parsed.host,
+        url: parsed.toString(),
+        username
+      };
+
+      this.saveOPDSEndpoints([...this.getOPDSEndpoints(), endpoint]);
+      if (password) {
+        sessionStorage.setItem(OPDS_CREDENTIALS_KEY, JSON.stringify({ ...this.getOPDSPasswords(), [endpoint.id]: password }));
+      }
+      this.registerAdapter(this.createOPDSAdapter(endpoint));
+      this.clearCache('search');
+
+      return { success: true, endpoint };
+    } catch (error) {
+      console.error('Error adding OPDS catalogue:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  removeOPDSEndpoint(id) {
+    this.saveOPDSEndpoints(this.getOPDSEndpoints().filter(endpoint => endpoint.id !== id));
+    const { [id]: removed, ...passwords } = this.getOPDSPasswords();
+    sessionStorage.setItem(OPDS_CREDENTIALS_KEY, JSON.stringify(passwords));
+    this.unregisterAdapter(`opds:${id}`);
+    this.clearCache('search');
+    return { success: true };
+  }
+
+  // Remove an adapter from the registry
+  unregisterAdapter(source) {
+    return this.adapters.delete(source);
+  }
+
+  // Get the adapter that owns a source id
+  getAdapter(source) {
+    return this.adapters.get(source)?.adapter || null;
+  }
+
+  // Adapters ordered by priority
+  getAdapters({ includeDisabled = false } = {}) {
+    return Array.from(this.adapters.values())
+      .filter(entry => includeDisabled || entry.enabled)
+      .sort((a, b) => a.priority - b.priority)
+      .map(entry => entry.adapter);
+  }
+
+  // Registry snapshot for settings screens
+  getAdapterInfo() {
+    return Array.from(this.adapters.values())
+      .sort((a, b) => a.priority - b.priority)
+      .map(({ adapter, priority, enabled }) => ({
+        source: adapter.source,
+        name: adapter.displayName,
+        priority,
+        enabled
+      }));
+  }
+
+  // Human readable name of a source
+  getSourceLabel(source) {
+    return this.getAdapter(source)?.displayName || source;
+  }
+
+  // Enable or disable an adapter without unregistering it
+  setAdapterEnabled(source, enabled) {
+    const entry = this.adapters.get(source);
+    if (!entry) {
+      console.warn(`Unknown source: ${source}`);
+      return false;
+    }
+
+    entry.enabled = Boolean(enabled);
+    this.clearCache();
+    return true;
+  }
+
+  setAdapterPriority(source, priority) {
+    const entry = this.adapters.get(source);
+    if (!entry) {
+      console.warn(`Unknown source: ${source}`);
+      return false;
+    }
+
+    entry.priority = Number(priority);
+    this.clearCache();
+    return true;
+  }
+
+  // Highest priority enabled adapter
+  get primaryAPI() {
+    return this.getAdapters()[0] || null;
+  }
+
+  // Second enabled adapter, used when the primary one has no results
+  get fallbackAPI() {
+    return this.getAdapters()[1] || null;
   }
 
   // Configure which API to use as primary
-  setPrimaryAPI(apiName, apiKey = null) {
-    switch (apiName.toLowerCase()) {
-      case 'google':
-      case 'googlebooks':
-        this.primaryAPI = new GoogleBooksAdapter(apiKey);
-        break;
-      case 'openlibrary':
-        this.primaryAPI = this.openLibrary;
-        break;
-      default:
-        console.warn(`Unknown API: ${apiName}, keeping current primary API`);
+  setPrimaryAPI(source, apiKey = null) {
+    const entry = this.adapters.get(source);
+    if (!entry) {
+      console.warn(`Unknown API: ${source}, keeping current primary API`);
+      return false;
+    }
+
+    if (apiKey && 'apiKey' in entry.adapter) {
+      entry.adapter.apiKey = apiKey;
     }
+
+    const highestPriority = Math.min(...Array.from(this.adapters.values()).map(e => e.priority));
+    entry.priority = highestPriority - 10;
+    entry.enabled = true;
+    this.clearCache();
+    return true;
   }
 
   // Add a new API adapter
-  addAPIAdapter(name, adapter) {
-    this[name] = adapter;
+  addAPIAdapter(name, adapter, options = {}) {
+    if (!adapter.source || adapter.source === 'unknown') {
+      adapter.source = name;
+    }
+    return this.registerAdapter(adapter, options);
   }
 
-  // Generate cache key
+  // Generate cache key (abort signals are not part of the request identity)
   getCacheKey(method, params) {
-    return `${method}_${JSON.stringify(params)}`;
+    return `${method}_${JSON.stringify(params, (key, value) => key === 'signal' ? undefined : value)}`;
   }
 
   // Check cache validity
   isCacheValid(cacheEntry) {
-    return Date.now() - cacheEntry.timestamp < this.cacheTimeout;
+    return Date.now() - cacheEntry.timestamp < (cacheEntry.ttl || this.cacheTimeout);
+  }
+
+  // Store a result in memory and in the persistent cache
+  storeInCache(namespace, cacheKey, data, policy = this.cachePolicies[namespace]) {
+    this.searchCache.set(cacheKey, {
+      data,
+      timestamp: Date.now(),
+      ttl: Math.min(policy.ttl, this.cacheTimeout)
+    });
+
+    persistentCache.set(cacheKey, data, { ...policy, namespace });
+  }
+
+  // Read-through cache with stale-while-revalidate:
+  // - fresh entries (memory, then IndexedDB) are returned as is
+  // - stale entries are returned with `stale: true` while `fetcher` runs in
+  //   the background; `onRevalidate` receives the fresh result
+  // - misses call `fetcher(signal)` and cache the result when
+  //   `getPolicy(result)` returns a policy
+  async withCache(namespace, cacheKey, fetcher, { signal, getPolicy, onRevalidate } = {}) {
+    const memoryEntry = this.searchCache.get(cacheKey);
+    if (memoryEntry) {
+      if (this.isCacheValid(memoryEntry)) {
+        return memoryEntry.data;
+      }
+      this.searchCache.delete(cacheKey);
+    }
+
+    const policyFor = getPolicy || (() => this.cachePolicies[namespace]);
+    const stored = await persistentCache.get(cacheKey);
+
+    if (stored) {
+      if (!stored.isStale) {
+        this.searchCache.set(cacheKey, {
+          data: stored.data,
+          timestamp: Date.now(),
+          ttl: this.cacheTimeout
+        });
+        return stored.data;
+      }
+
+      this.revalidate(namespace, cacheKey, fetcher, policyFor, onRevalidate);
+      return { ...stored.data, stale: true };
+    }
+
+    const result = await fetcher(signal);
+    const policy = policyFor(result);
+    if (policy) {
+      this.storeInCache(namespace, cacheKey, result, policy);
+    }
+
+    return result;
+  }
+
+  // Refresh a stale entry once, without the caller's abort signal
+  async revalidate(namespace, cacheKey, fetcher, policyFor, onRevalidate) {
+    if (this.revalidating.has(cacheKey)) {
+      return;
+    }
+
+    this.revalidating.add(cacheKey);
+    try {
+      const result = await fetcher();
+      const policy = policyFor(result);
+
+      if (policy) {
+        this.storeInCache(namespace, cacheKey, result, policy);
+        if (onRevalidate) {
+          onRevalidate(result);
+        }
+      }
+    } catch (error) {
+      console.warn('Cache revalidation error:', error);
+    } finally {
+      this.revalidating.delete(cacheKey);
+    }
+  }
+
+  // Run a search method honouring options.source:
+  // 'all' merges every adapter, a source id restricts the search to that
+  // adapter and no source keeps the primary/fallback behaviour.
+  // options.cursor is a cursor returned by a previous page: it maps each
+  // source that still has results to that adapter's own cursor.
+  async runSearch(method, term, options = {}) {
+    const { source, cursor, ...rest } = options;
+    const searchOptions = { ...rest, language: resolveSearchLanguage(rest.language) };
+    const cursors = decodeCursor(cursor);
+
+    if (source === 'all') {
+      return this.federatedSearch(method, term, searchOptions, cursors);
+    }
+
+    if (source) {
+      const adapter = this.getAdapter(source);
+      if (!adapter) {
+        return {
+          success: false,
+          error: `Unknown source: ${source}`,
+          books: [],
+          totalItems: 0,
+          hasMore: false,
+          nextCursor: null
+        };
+      }
+
+      const result = await adapter[method](term, { ...searchOptions, cursor: cursors?.[source] });
+      result.source = source;
+      if (result.success) {
+        result.books = this.mergeBookLists([result.books]);
+        this.setCompositeCursor(result, { [source]: result.nextCursor });
+      }
+      return result;
+    }
+
+    // Later pages stay on the adapter that served the first one; the first
+    // page walks the adapters in priority order until one returns results
+    const adapters = this.getAdapters().filter(adapter => !cursors || adapter.source in cursors);
+    let result = {
+      success: false,
+      error: 'No book sources are enabled',
+      books: [],
+      totalItems: 0,
+      hasMore: false,
+      nextCursor: null
+    };
+
+    for (let i = 0; i < adapters.length; i++) {
+      if (i > 0) {
+        console.log(`No results from ${adapters[i - 1].source}, trying ${adapters[i].source}...`);
+      }
+
+      const adapter = adapters[i];
+      result = await adapter[method](term, { ...searchOptions, cursor: cursors?.[adapter.source] });
+
+      if (result.aborted) {
+        break;
+      }
+
+      if (result.success && result.books.length > 0) {
+        result.source = adapter === this.primaryAPI ? 'primary' : 'fallback';
+        result.books = this.mergeBookLists([result.books]);
+        this.setCompositeCursor(result, { [adapter.source]: result.nextCursor });
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  // Replace the adapter cursor of a result by a BookService cursor holding
+  // the cursors of every source that has more results
+  setCompositeCursor(result, adapterCursors) {
+    const pending = {};
+    Object.entries(adapterCursors).forEach(([source, cursor]) => {
+      if (cursor) pending[source] = cursor;
+    });
+
+    result.nextCursor = Object.keys(pending).length > 0 ? encodeCursor(pending) : null;
+    result.hasMore = Boolean(result.nextCursor);
+    return result;
+  }
+
+  // Query every adapter in parallel and merge their results. On later pages
+  // only the sources with a pending cursor are queried.
+  async federatedSearch(method, term, options = {}, cursors = null) {
+    const adapters = this.getAdapters().filter(adapter => !cursors || adapter.source in cursors);
+    const outcomes = await Promise.allSettled(
+      adapters.map(adapter => adapter[method](term, { ...options, cursor: cursors?.[adapter.source] }))
+    );
+
+    const sources = {};
+    const successful = [];
+    const nextCursors = {};
+
+    outcomes.forEach((outcome, index) => {
+      const result = outcome.status === 'fulfilled'
+        ? outcome.value
+        : { success: false, error: outcome.reason?.message, books: [], totalItems: 0 };
+      const sourceId = adapters[index].source;
+
+      sources[sourceId] = {
+        success: result.success,
+        totalItems: result.totalItems || 0,
+        error: result.success ? null : result.error
+      };
+
+      // A failed source is left out of the next pages: keeping its cursor
+      // would report more results forever and query it again on every page
+      if (result.success) {
+        successful.push(result);
+        nextCursors[sourceId] = result.nextCursor;
+      }
+    });
+
+    if (successful.length === 0) {
+      return {
+        success: false,
+        aborted: Boolean(options.signal?.aborted),
+        error: 'No source could complete the search',
+        books: [],
+        totalItems: 0,
+        hasMore: false,
+        nextCursor: null,
+        source: 'merged',
+        sources
+      };
+    }
+
+    return this.setCompositeCursor({
+      success: true,
+      books: this.mergeBookLists(successful.map(result => result.books)),
+      totalItems: successful.reduce((sum, result) => sum + (result.totalItems || 0), 0),
+      source: 'merged',
+      sources
+    }, nextCursors);
+  }
+
+  // Add a new page of results to the books already shown. Books of a work
+  // that is already listed are merged into it instead of appearing twice.
+  appendBookPage(books, newBooks) {
+    const combined = [...books];
+    const index = new Map();
+
+    combined.forEach((book, position) => {
+      getBookMatchKeys(book).forEach(key => index.set(key, position));
+    });
+
+    newBooks.forEach(book => {
+      const existing = getBookMatchKeys(book).map(key => index.get(key)).find(i => i !== undefined);
+
+      if (existing === undefined) {
+        combined.push(book);
+        getBookMatchKeys(book).forEach(key => index.set(key, combined.length - 1));
+      } else {
+        combined[existing] = this.mergeBookRecords(combined[existing], book);
+      }
+    });
+
+    return combined;
+  }
+
+  // Interleave several result lists and collapse records of the same work,
+  // within a list or across lists, into one book with several editions.
+  // The first occurrence is kept as the base record.
+  mergeBookLists(bookLists) {
+    const merged = [];
+    const index = new Map();
+    const longest = Math.max(0, ...bookLists.map(list => list.length));
+
+    for (let position = 0; position < longest; position++) {
+      bookLists.forEach(list => {
+        const book = list[position];
+        if (!book) return;
+
+        const keys = getBookMatchKeys(book);
+        const existingIndex = keys.map(key => index.get(key)).find(i => i !== undefined);
+
+        if (existingIndex === undefined) {
+          merged.push({
+            ...book,
+            sources: [book.source],
+            sourceIds: { [book.source]: book.id }
+          });
+          keys.forEach(key => index.set(key, merged.length - 1));
+        } else {
+          merged[existingIndex] = this.mergeBookRecords(merged[existingIndex], book);
+          getBookMatchKeys(merged[existingIndex]).forEach(key => {
+            if (!index.has(key)) index.set(key, existingIndex);
+          });
+        }
+      });
+    }
+
+    return merged;
+  }
+
+  // Fill the gaps of a merged book with another source's record
+  mergeBookRecords(target, book) {
+    const merged = {
+      ...target,
+      sources: [...new Set([...(target.sources || [target.source]), ...(book.sources || [book.source])])],
+      sourceIds: { ...book.sourceIds, [book.source]: book.id, ...target.sourceIds },
+      editions: mergeEditions(target.editions, book.editions)
+    };
+
+    merged.editionCount = Math.max(
+      merged.editions.length,
+      target.editionCount || 0,
+      book.editionCount || 0
+    );
+
+    if (!merged.workId && book.workId) {
+      merged.workId = book.workId;
+    }
+
+    ['description', 'publishedDate', 'publisher', 'isbn'].forEach(field => {
+      if (!merged[field] && book[field]) {
+        merged[field] = book[field];
+      }
+    });
+
+    if (!merged.pageCount && book.pageCount) {
+      merged.pageCount = book.pageCount;
+    }
+
+    if (!merged.averageRating && book.averageRating) {
+      merged.averageRating = book.averageRating;
+      merged.ratingsCount = book.ratingsCount;
+    }
+
+    if (!merged.categories?.length && book.categories?.length) {
+      merged.categories = book.categories;
+    }
+
+    if (!merged.imageLinks?.thumbnail && book.imageLinks?.thumbnail) {
+      merged.imageLinks = book.imageLinks;
+    }
+
+    return merged;
   }
 
   // Search books with fallback mechanism
@@ -58,43 +641,26 @@ class BookService {
       };
     }
 
-    const cacheKey = this.getCacheKey('search', { query, options });
-    
-    // Check cache first
-    if (this.searchCache.has(cacheKey)) {
-      const cached = this.searchCache.get(cacheKey);
-      if (this.isCacheValid(cached)) {
-        return cached.data;
-      } else {
-        this.searchCache.delete(cacheKey);
-      }
-    }
+    const { onRevalidate, ...rest } = options;
+    // Resolve the preferred language now so it is part of the cache key
+    const searchOptions = { ...rest, language: resolveSearchLanguage(rest.language) };
+    const cacheKey = this.getCacheKey('search', { query, options: searchOptions });
 
     try {
-      // Try primary API first
-      let result = await this.primaryAPI.search(query, options);
-      
-      // If primary API fails or returns no results, try fallback
-      if (!result.success || result.books.length === 0) {
-        console.log('Primary API failed or no results, trying fallback API...');
-        result = await this.fallbackAPI.search(query, options);
-        
-        if (result.success) {
-          result.source = 'fallback';
+      return await this.withCache(
+        'search',
+        cacheKey,
+        (signal) => this.runSearch('search', query, { ...searchOptions, signal }),
+        {
+          signal: searchOptions.signal,
+          onRevalidate,
+          // Empty results are cached briefly, failures are never cached
+          getPolicy: (result) => {
+            if (!result.success) return null;
+            return result.books.length > 0 ? this.cachePolicies.search : this.cachePolicies.emptySearch;
+          }
         }
-      } else {
-        result.source = 'primary';
-      }
-
-      // Cache successful results
-      if (result.success && result.books.length > 0) {
-        this.searchCache.set(cacheKey, {
-          data: result,
-          timestamp: Date.now()
-        });
-      }
-
-      return result;
+      );
     } catch (error) {
       console.error('Book search error:', error);
       return {
@@ -108,46 +674,21 @@ class BookService {
   }
 
   // Get book details with fallback
-  async getBookDetails(bookId, source = null) {
+  async getBookDetails(bookId, source = null, options = {}) {
+    const { onRevalidate, ...detailOptions } = options;
     const cacheKey = this.getCacheKey('details', { bookId, source });
-    
-    // Check cache first
-    if (this.searchCache.has(cacheKey)) {
-      const cached = this.searchCache.get(cacheKey);
-      if (this.isCacheValid(cached)) {
-        return cached.data;
-      } else {
-        this.searchCache.delete(cacheKey);
-      }
-    }
 
     try {
-      let result;
-      
-      // If source is specified, use that API
-      if (source === 'google-books' && this.googleBooks) {
-        result = await this.googleBooks.getBookDetails(bookId);
-      } else if (source === 'open-library' && this.openLibrary) {
-        result = await this.openLibrary.getBookDetails(bookId);
-      } else {
-        // Try primary API first
-        result = await this.primaryAPI.getBookDetails(bookId);
-        
-        // If primary fails, try fallback
-        if (!result.success) {
-          result = await this.fallbackAPI.getBookDetails(bookId);
+      return await this.withCache(
+        'details',
+        cacheKey,
+        (signal) => this.fetchBookDetails(bookId, source, { ...detailOptions, signal }),
+        {
+          signal: detailOptions.signal,
+          onRevalidate,
+          getPolicy: (result) => (result.success && result.book ? this.cachePolicies.details : null)
         }
-      }
-
-      // Cache successful results
-      if (result.success && result.book) {
-        this.searchCache.set(cacheKey, {
-          data: result,
-          timestamp: Date.now()
-        });
-      }
-
-      return result;
+      );
     } catch (error) {
       console.error('Book details error:', error);
       return {
@@ -158,16 +699,98 @@ class BookService {
     }
   }
 
+  // Ask the owning adapter, or every enabled adapter, for a book's details
+  async fetchBookDetails(bookId, source, options = {}) {
+    // The adapter that owns the source resolves its own ids
+    const owner = source ? this.getAdapter(source) : null;
+
+    if (owner) {
+      return owner.getBookDetails(bookId, options);
+    }
+
+    let result = {
+      success: false,
+      error: 'No book sources are enabled',
+      book: null
+    };
+
+    // Unknown source: try every enabled adapter in priority order
+    for (const adapter of this.getAdapters()) {
+      result = await adapter.getBookDetails(bookId, options);
+      if (result.success || result.aborted) break;
+    }
+
+    return result;
+  }
+
+  // Get every known edition of a book's work from each source it came from
+  async getBookEditions(book, options = {}) {
+    if (!book) {
+      return { success: false, error: 'Book is required', editions: [] };
+    }
+
+    const { onRevalidate, ...editionOptions } = options;
+    const cacheKey = this.getCacheKey('editions', { id: book.id, source: book.source });
+
+    try {
+      return await this.withCache(
+        'editions',
+        cacheKey,
+        (signal) => this.fetchBookEditions(book, { ...editionOptions, signal }),
+        { signal: editionOptions.signal, onRevalidate }
+      );
+    } catch (error) {
+      console.error('Book editions error:', error);
+      return {
+        success: false,
+        error: error.message,
+        editions: book.editions || []
+      };
+    }
+  }
+
+  // Collect editions from every source adapter of the book
+  async fetchBookEditions(book, options = {}) {
+    const sources = book.sources?.length ? book.sources : [book.source];
+    const outcomes = await Promise.allSettled(
+      sources
+        .map(source => ({ source, adapter: this.getAdapter(source) }))
+        .filter(({ adapter }) => adapter)
+        .map(({ source, adapter }) => adapter.getEditions({
+          ...book,
+          id: book.sourceIds?.[source] || book.id,
+          source
+        }, options))
+    );
+
+    const editions = outcomes
+      .filter(outcome => outcome.status === 'fulfilled' && outcome.value.success)
+      .reduce((all, outcome) => mergeEditions(all, outcome.value.editions), book.editions || []);
+
+    return { success: true, editions };
+  }
+
+  // Copy the edition-level fields of the chosen edition onto the book
+  selectEdition(book, edition) {
+    if (!edition) {
+      return book;
+    }
+
+    return {
+      ...book,
+      isbn: edition.isbn || book.isbn,
+      publisher: edition.publisher || book.publisher,
+      publishedDate: edition.publishedDate || book.publishedDate,
+      language: edition.language || book.language,
+      pageCount: edition.pageCount || book.pageCount,
+      edition
+    };
+  }
+
   // Search by specific criteria
   async searchByAuthor(author, options = {}) {
     try {
-      let result = await this.primaryAPI.searchByAuthor(author, options);
-      
-      if (!result.success || result.books.length === 0) {
-        result = await this.fallbackAPI.searchByAuthor(author, options);
-      }
-
-      return result;
+      return await this.runSearch('searchByAuthor', author, options);
     } catch (error) {
       console.error('Author search error:', error);
       return {
@@ -182,13 +805,7 @@ class BookService {
 
   async searchByTitle(title, options = {}) {
     try {
-      let result = await this.primaryAPI.searchByTitle(title, options);
-      
-      if (!result.success || result.books.length === 0) {
-        result = await this.fallbackAPI.searchByTitle(title, options);
-      }
-
-      return result;
+      return await this.runSearch('searchByTitle', title, options);
     } catch (error) {
       console.error('Title search error:', error);
       return {
@@ -202,14 +819,18 @@ class BookService {
   }
 
   async searchByISBN(isbn, options = {}) {
-    try {
-      let result = await this.primaryAPI.searchByISBN(isbn, options);
-      
-      if (!result.success || result.books.length === 0) {
-        result = await this.fallbackAPI.searchByISBN(isbn, options);
-      }
+    if (!isValidISBN(isbn)) {
+      return {
+        success: false,
+        error: 'Invalid ISBN: check the digits and the check digit',
+        books: [],
+        totalItems: 0,
+        hasMore: false
+      };
+    }
 
-      return result;
+    try {
+      return await this.runSearch('searchByISBN', normalizeISBN(isbn), options);
     } catch (error) {
       console.error('ISBN search error:', error);
       return {
@@ -224,13 +845,7 @@ class BookService {
 
   async searchBySubject(subject, options = {}) {
     try {
-      let result = await this.primaryAPI.searchBySubject(subject, options);
-      
-      if (!result.success || result.books.length === 0) {
-        result = await this.fallbackAPI.searchBySubject(subject, options);
-      }
-
-      return result;
+      return await this.runSearch('searchBySubject', subject, options);
     } catch (error) {
       console.error('Subject search error:', error);
       return {
@@ -243,6 +858,68 @@ class BookService {
     }
   }
 
+  // Search with a structured query ({ text, title, author, subject, publisher,
+  // isbn, yearFrom, yearTo, language }); every adapter translates it
+  async searchAdvanced(query, options = {}) {
+    const normalized = normalizeAdvancedQuery(query);
+
+    if (isAdvancedQueryEmpty(normalized)) {
+      return {
+        success: false,
+        error: 'Query cannot be empty',
+        books: [],
+        totalItems: 0,
+        hasMore: false
+      };
+    }
+
+    try {
+      return await this.runSearch('searchAdvanced', normalized, options);
+    } catch (error) {
+      console.error('Advanced search error:', error);
+      return {
+        success: false,
+        error: error.message,
+        books: [],
+        totalItems: 0,
+        hasMore: false
+      };
+    }
+  }
+
+  // Type-ahead suggestions: a short first page from the primary/fallback
+  // chain. Prefixes are retyped often, so results are cached briefly.
+  async getSuggestions(term, options = {}) {
+    const value = term.trim();
+    if (value.length < 2) {
+      return { success: true, books: [] };
+    }
+
+    const searchOptions = {
+      pageSize: options.pageSize || 5,
+      language: resolveSearchLanguage(options.language)
+    };
+    const cacheKey = this.getCacheKey('suggestions', { term: value.toLowerCase(), options: searchOptions });
+
+    try {
+      return await this.withCache(
+        'suggestions',
+        cacheKey,
+        async (signal) => {
+          const result = await this.runSearch('search', value, { ...searchOptions, signal });
+          return { success: result.success, aborted: result.aborted, error: result.error, books: result.books || [] };
+        },
+        {
+          signal: options.signal,
+          getPolicy: (result) => (result.success ? this.cachePolicies.suggestions : null)
+        }
+      );
+    } catch (error) {
+      console.error('Suggestions error:', error);
+      return { success: false, error: error.message, books: [] };
+    }
+  }
+
   // Get popular/trending books (mock implementation)
   async getPopularBooks(options = {}) {
     const queries = [
@@ -254,7 +931,7 @@ class BookService {
     
     try {
       const randomQuery = queries[Math.floor(Math.random() * queries.length)];
-      return await this.searchBooks(randomQuery, { ...options, maxResults: 10 });
+      return await this.searchBooks(randomQuery, { ...options, pageSize: 10 });
     } catch (error) {
       console.error('Popular books error:', error);
       return {
@@ -267,13 +944,22 @@ class BookService {
     }
   }
 
-  // Clear cache
-  clearCache() {
-    this.searchCache.clear();
+  // Clear the memory and persistent caches, or only one namespace
+  // ('search', 'details', 'editions', 'enrichment', 'suggestions')
+  clearCache(namespace = null) {
+    if (namespace) {
+      Array.from(this.searchCache.keys())
+        .filter(key => key.startsWith(`${namespace}_`))
+        .forEach(key => this.searchCache.delete(key));
+    } else {
+      this.searchCache.clear();
+    }
+
+    return persistentCache.clear(namespace);
   }
 
-  // Get cache statistics
-  getCacheStats() {
+  // Get cache statistics for the memory and persistent layers
+  async getCacheStats() {
     const totalEntries = this.searchCache.size;
     const validEntries = Array.from(this.searchCache.values())
       .filter(entry => this.isCacheValid(entry)).length;
@@ -281,9 +967,15 @@ class BookService {
     return {
       totalEntries,
       validEntries,
-      invalidEntries: totalEntries - validEntries
+      invalidEntries: totalEntries - validEntries,
+      persistent: await persistentCache.getStats()
     };
   }
+
+  // List persistent cache entries (metadata only) for inspection
+  inspectCache(namespace = null) {
+    return persistentCache.inspect(namespace);
+  }
 }
 
 // Create singleton instance
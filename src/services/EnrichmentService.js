@@ -0,0 +1,203 @@
+import bookService from './BookService';
+import { normalizeTitle, normalizeAuthor } from '../utils/bookMatching';
+import { isSameISBN, normalizeISBN } from '../utils/isbn';
+import { ANY_LANGUAGE } from '../utils/searchLanguage';
+
+// Fields the enrichment pass can fill, with the test that tells a missing
+// value apart from a real one
+const ENRICHABLE_FIELDS = {
+  description: (value) => !value,
+  pageCount: (value) => !(Number(value) > 0),
+  imageLinks: (value) => !value?.thumbnail,
+  publisher: (value) => !value,
+  publishedDate: (value) => !value,
+  isbn: (value) => !normalizeISBN(value),
+  language: (value) => !value,
+  categories: (value) => !value?.length
+};
+
+// Fields usually missing from search results, which the source's details
+// request may have
+const DETAIL_FIELDS = ['description', 'pageCount', 'categories'];
+
+// Service that completes a standard book with data from the other
+// registered sources, keeping track of where each value came from
+class EnrichmentService {
+  // Fields of a book that have no value
+  getMissingFields(book) {
+    return Object.keys(ENRICHABLE_FIELDS).filter(field => ENRICHABLE_FIELDS[field](book?.[field]));
+  }
+
+  // Where each field of the book came from: { [field]: { source, sourceId, match } }.
+  // Values the book already had are credited to its own source.
+  getProvenance(book) {
+    const provenance = {};
+
+    Object.keys(ENRICHABLE_FIELDS)
+      .filter(field => !ENRICHABLE_FIELDS[field](book?.[field]))
+      .forEach(field => {
+        provenance[field] = book.provenance?.[field] || { source: book.source, sourceId: book.id };
+      });
+
+    return provenance;
+  }
+
+  // Look the book up in the other sources and fill its missing fields.
+  // Returns the enriched book, the names of the fields that were filled
+  // and the provenance of every field.
+  async enrichBook(book, options = {}) {
+    const missing = this.getMissingFields(book);
+
+    if (!book || missing.length === 0) {
+      return {
+        success: true,
+        book,
+        fields: [],
+        provenance: this.getProvenance(book)
+      };
+    }
+
+    const ownSources = book.sources?.length ? book.sources : [book.source];
+    const cacheKey = bookService.getCacheKey('enrichment', {
+      isbn: normalizeISBN(book.isbn),
+      title: normalizeTitle(book.title),
+      author: normalizeAuthor(book.authors?.[0]),
+      sources: ownSources,
+      missing
+    });
+
+    try {
+      const result = await bookService.withCache(
+        'enrichment',
+        cacheKey,
+        (signal) => this.findMissingFields(book, missing, ownSources, { signal }),
+        {
+          signal: options.signal,
+          getPolicy: (result) => (result.success ? bookService.cachePolicies.enrichment : null)
+        }
+      );
+
+      if (!result.success) {
+        return { ...result, book, fields: [], provenance: this.getProvenance(book) };
+      }
+
+      const enriched = { ...book, ...result.updates };
+      enriched.provenance = { ...this.getProvenance(book), ...result.provenance };
+
+      return {
+        success: true,
+        book: enriched,
+        fields: Object.keys(result.updates),
+        provenance: enriched.provenance
+      };
+    } catch (error) {
+      console.error('Book enrichment error:', error);
+      return {
+        success: false,
+        error: error.message,
+        book,
+        fields: [],
+        provenance: this.getProvenance(book)
+      };
+    }
+  }
+
+  // Query every other enabled source in parallel, then take each missing
+  // value from the highest priority source that has it
+  async findMissingFields(book, missing, ownSources, options = {}) {
+    const adapters = bookService.getAdapters()
+      .filter(adapter => !ownSources.includes(adapter.source));
+
+    const outcomes = await Promise.allSettled(
+      adapters.map(adapter => this.findMatch(adapter, book, missing, options))
+    );
+
+    if (options.signal?.aborted) {
+      return { success: false, aborted: true, error: 'Enrichment cancelled' };
+    }
+
+    const updates = {};
+    const provenance = {};
+
+    outcomes
+      .filter(outcome => outcome.status === 'fulfilled' && outcome.value)
+      .forEach(({ value: { record, match } }) => {
+        missing
+          .filter(field => !(field in updates) && !ENRICHABLE_FIELDS[field](record[field]))
+          .forEach(field => {
+            updates[field] = record[field];
+            provenance[field] = { source: record.source, sourceId: record.id, match };
+          });
+      });
+
+    return { success: true, updates, provenance };
+  }
+
+  // The adapter's record for the book: by ISBN when the book has one,
+  // otherwise (or when the ISBN is unknown there) by title and author.
+  // `match` tells which of the two identified it.
+  async findMatch(adapter, book, missing, options = {}) {
+    const searchOptions = { pageSize: 5, language: ANY_LANGUAGE, signal: options.signal };
+    const isbn = normalizeISBN(book.isbn);
+    let record = null;
+    let match = 'isbn';
+
+    if (isbn) {
+      const result = await adapter.searchByISBN(isbn, searchOptions);
+      record = result.success ? result.books.find(candidate => (
+        isSameISBN(candidate.isbn, isbn) ||
+        candidate.editions?.some(edition => isSameISBN(edition.isbn, isbn))
+      )) : null;
+    }
+
+    if (!record && book.title) {
+      match = 'title';
+      const result = await adapter.searchAdvanced({
+        title: book.title,
+        author: book.authors?.[0] || ''
+      }, searchOptions);
+      record = result.success ? result.books.find(candidate => this.isSameWork(candidate, book)) : null;
+    }
+
+    if (!record) {
+      return null;
+    }
+
+    // Search records are often partial: ask for the full record when a
+    // field only found in details is still needed
+    if (DETAIL_FIELDS.some(field => missing.includes(field) && ENRICHABLE_FIELDS[field](record[field]))) {
+      const details = await adapter.getBookDetails(record.id, options);
+      if (details.success && details.book) {
+        record = this.fillGaps(record, details.book);
+      }
+    }
+
+    return { record, match };
+  }
+
+  // Copy of `record` with its missing fields taken from `other`
+  fillGaps(record, other) {
+    const filled = { ...record };
+    Object.keys(ENRICHABLE_FIELDS)
+      .filter(field => ENRICHABLE_FIELDS[field](filled[field]))
+      .forEach(field => {
+        filled[field] = other[field];
+      });
+    return filled;
+  }
+
+  // Same title, and same first author when both books name one
+  isSameWork(candidate, book) {
+    if (normalizeTitle(candidate.title) !== normalizeTitle(book.title)) {
+      return false;
+    }
+
+    const author = normalizeAuthor(book.authors?.[0]);
+    return !author || !candidate.authors?.length || normalizeAuthor(candidate.authors[0]) === author;
+  }
+}
+
+// Create singleton instance
+const enrichmentService = new EnrichmentService();
+
+export default enrichmentService;
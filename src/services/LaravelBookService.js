@@ -90,6 +90,8 @@ class LaravelBookService {
             image_links: book.imageLinks,
             language: book.language,
             isbn: book.isbn,
+            work_id: book.workId,
+            edition: book.edition || null,
             external_id: book.id,
             source: book.source || 'google-books'
           },
@@ -567,6 +569,373 @@ class LaravelBookService {
       };
     }
   }
+
+  // Get the user's search history, newest first
+  async getSearchHistory(limit = 50) {
+    try {
+      const response = await fetch(`${this.apiURL}/search-history?limit=${limit}`, {
+        method: 'GET',
+        headers: this.getAuthHeaders()
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        history: data.data || [],
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Get search history error:', error);
+      return {
+        success: false,
+        history: [],
+        error: error.message
+      };
+    }
+  }
+
+  // Record a search in the user's history
+  async addSearchHistoryEntry(entry) {
+    try {
+      const response = await fetch(`${this.apiURL}/search-history`, {
+        method: 'POST',
+        headers: this.getAuthHeaders(),
+        body: JSON.stringify(entry)
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        entry: data.data,
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Add search history entry error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Delete the user's search history
+  async clearSearchHistory() {
+    try {
+      const response = await fetch(`${this.apiURL}/search-history`, {
+        method: 'DELETE',
+        headers: this.getAuthHeaders()
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Clear search history error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Get the user's saved searches
+  async getSavedSearches() {
+    try {
+      const response = await fetch(`${this.apiURL}/saved-searches`, {
+        method: 'GET',
+        headers: this.getAuthHeaders()
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        searches: data.data || [],
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Get saved searches error:', error);
+      return {
+        success: false,
+        searches: [],
+        error: error.message
+      };
+    }
+  }
+
+  // Save a search
+  async createSavedSearch(search) {
+    try {
+      const response = await fetch(`${this.apiURL}/saved-searches`, {
+        method: 'POST',
+        headers: this.getAuthHeaders(),
+        body: JSON.stringify(search)
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        search: data.data,
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Create saved search error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Update a saved search (name, pinned...)
+  async updateSavedSearch(searchId, updates) {
+    try {
+      const response = await fetch(`${this.apiURL}/saved-searches/${searchId}`, {
+        method: 'PUT',
+        headers: this.getAuthHeaders(),
+        body: JSON.stringify(updates)
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        search: data.data,
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Update saved search error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Delete a saved search
+  async deleteSavedSearch(searchId) {
+    try {
+      const response = await fetch(`${this.apiURL}/saved-searches/${searchId}`, {
+        method: 'DELETE',
+        headers: this.getAuthHeaders()
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Delete saved search error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Get the authors and subjects the user follows
+  async getFollows() {
+    try {
+      const response = await fetch(`${this.apiURL}/follows`, {
+        method: 'GET',
+        headers: this.getAuthHeaders()
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        follows: data.data || [],
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Get follows error:', error);
+      return {
+        success: false,
+        follows: [],
+        error: error.message
+      };
+    }
+  }
+
+  // Follow an author or a subject
+  async createFollow(follow) {
+    try {
+      const response = await fetch(`${this.apiURL}/follows`, {
+        method: 'POST',
+        headers: this.getAuthHeaders(),
+        body: JSON.stringify(follow)
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        follow: data.data,
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Create follow error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Update a follow (releases seen, last check...)
+  async updateFollow(followId, updates) {
+    try {
+      const response = await fetch(`${this.apiURL}/follows/${followId}`, {
+        method: 'PUT',
+        headers: this.getAuthHeaders(),
+        body: JSON.stringify(updates)
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        follow: data.data,
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Update follow error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Stop following an author or a subject
+  async deleteFollow(followId) {
+    try {
+      const response = await fetch(`${this.apiURL}/follows/${followId}`, {
+        method: 'DELETE',
+        headers: this.getAuthHeaders()
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Delete follow error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Get the user's column mapping profiles for imports
+  async getImportProfiles() {
+    try {
+      const response = await fetch(`${this.apiURL}/import-profiles`, {
+        method: 'GET',
+        headers: this.getAuthHeaders()
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        profiles: data.data || [],
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Get import profiles error:', error);
+      return {
+        success: false,
+        profiles: [],
+        error: error.message
+      };
+    }
+  }
+
+  // Save a column mapping profile
+  async createImportProfile(profile) {
+    try {
+      const response = await fetch(`${this.apiURL}/import-profiles`, {
+        method: 'POST',
+        headers: this.getAuthHeaders(),
+        body: JSON.stringify(profile)
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        profile: data.data,
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Create import profile error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Update a column mapping profile
+  async updateImportProfile(profileId, updates) {
+    try {
+      const response = await fetch(`${this.apiURL}/import-profiles/${profileId}`, {
+        method: 'PUT',
+        headers: this.getAuthHeaders(),
+        body: JSON.stringify(updates)
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        profile: data.data,
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Update import profile error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Delete a column mapping profile
+  async deleteImportProfile(profileId) {
+    try {
+      const response = await fetch(`${this.apiURL}/import-profiles/${profileId}`, {
+        method: 'DELETE',
+        headers: this.getAuthHeaders()
+      });
+
+      const data = await this.handleResponse(response);
+
+      return {
+        success: data.success || response.ok,
+        error: data.success ? null : data.message
+      };
+    } catch (error) {
+      console.error('Delete import profile error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,110 @@
+import bookService from './BookService';
+import { getWorkKey, normalizeAuthor } from '../utils/bookMatching';
+
+// BookService search run for each kind of follow
+const SEARCH_METHODS = {
+  author: 'searchByAuthor',
+  subject: 'searchBySubject'
+};
+
+// A follow is checked again after this long
+const CHECK_INTERVAL_MS = 12 * 60 * 60 * 1000;
+const RESULTS_PER_CHECK = 20;
+// Releases remembered per follow, newest first
+const MAX_SEEN_KEYS = 200;
+
+// Service that finds new releases for followed authors and subjects by
+// re-running their searches, newest first, and comparing the results with
+// the releases seen on the previous check
+class NewReleasesService {
+  // Key a release is remembered by; every edition of a work shares it
+  getReleaseKey(book) {
+    return getWorkKey(book) || `${book.source}:${book.id}`;
+  }
+
+  // Follows never checked, or not checked within the interval
+  isDue(follow, now = Date.now()) {
+    const checkedAt = Date.parse(follow.lastCheckedAt);
+    return Number.isNaN(checkedAt) || now - checkedAt >= CHECK_INTERVAL_MS;
+  }
+
+  // Author searches also match co-authors and similar names; keep the
+  // followed author's own books
+  isReleaseOf(follow, book) {
+    if (follow.type !== 'author') {
+      return true;
+    }
+    const author = normalizeAuthor(follow.value);
+    return (book.authors || []).some(name => normalizeAuthor(name) === author);
+  }
+
+  // Releases of a follow that were not there on its previous check. The
+  // first check only records what the search returns.
+  // Returns the new books and the follow's updated seenKeys and lastCheckedAt.
+  async checkFollow(follow, options = {}) {
+    const method = SEARCH_METHODS[follow.type];
+
+    if (!method) {
+      return { success: false, error: `Unknown follow type: ${follow.type}`, books: [] };
+    }
+
+    const result = await bookService[method](follow.value, {
+      source: 'all',
+      orderBy: 'newest',
+      pageSize: RESULTS_PER_CHECK,
+      signal: options.signal
+    });
+
+    if (!result.success) {
+      return { success: false, aborted: result.aborted, error: result.error, books: [] };
+    }
+
+    const seen = new Set(follow.seenKeys || []);
+    const releases = new Map();
+    result.books
+      .filter(book => this.isReleaseOf(follow, book))
+      .forEach(book => {
+        const key = this.getReleaseKey(book);
+        if (!releases.has(key)) releases.set(key, book);
+      });
+
+    const books = follow.seenKeys
+      ? [...releases].filter(([key]) => !seen.has(key)).map(([, book]) => book)
+      : [];
+
+    return {
+      success: true,
+      books: books.sort((a, b) => String(b.publishedDate || '').localeCompare(String(a.publishedDate || ''))),
+      seenKeys: [...new Set([...releases.keys(), ...seen])].slice(0, MAX_SEEN_KEYS),
+      lastCheckedAt: new Date().toISOString()
+    };
+  }
+
+  // Check the follows that are due (all of them with force), one at a time.
+  // Returns [{ follow, books, seenKeys, lastCheckedAt }] for the ones that
+  // could be checked.
+  async checkFollows(follows, { force = false, signal } = {}) {
+    const checked = [];
+
+    for (const follow of follows) {
+      if (signal?.aborted) break;
+      if (!force && !this.isDue(follow)) continue;
+
+      try {
+        const result = await this.checkFollow(follow, { signal });
+        if (result.success) {
+          checked.push({ follow, ...result });
+        }
+      } catch (error) {
+        console.error(`Error checking new releases for ${follow.value}:`, error);
+      }
+    }
+
+    return checked;
+  }
+}
+
+// Create singleton instance
+const newReleasesService = new NewReleasesService();
+
+export default newReleasesService;
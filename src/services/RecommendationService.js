@@ -1,3 +1,15 @@
+import { findLibraryBook, normalizeAuthor, normalizeText } from '../utils/bookMatching';
+
+// Weight of each preference when re-ranking search results
+const RANKING_WEIGHTS = {
+  author: 3,
+  genre: 2,
+  language: 1,
+  decade: 1,
+  // The source's own order, from 1 for its first result to 0 for its last
+  sourceOrder: 1
+};
+
 // Service for book recommendations and related books
 class RecommendationService {
   constructor() {
@@ -145,9 +157,72 @@ class RecommendationService {
       .slice(0, 3)
       .map(([author]) => author);
 
+    preferences.topLanguages = Object.entries(preferences.languages)
+      .sort(([,a], [,b]) => b - a)
+      .slice(0, 2)
+      .map(([language]) => language);
+
+    preferences.topDecades = Object.entries(preferences.publicationPeriods)
+      .sort(([,a], [,b]) => b - a)
+      .slice(0, 2)
+      .map(([decade]) => Number(decade));
+
     return preferences;
   }
 
+  // Re-rank search results with the preference profile of the user's
+  // library: books by its top authors, in its top genres, languages and
+  // decades move up, and books already in the library go to the end. The
+  // source's order still counts, so equal books keep it.
+  // Returns the books in their new order and, for each book, the reasons
+  // it moved up ([{ type: 'author' | 'genre' | 'language' | 'decade', value }]).
+  rankSearchResults(books, userBooks = []) {
+    const reasons = new Map();
+
+    if (userBooks.length === 0) {
+      return { books, reasons };
+    }
+
+    const preferences = this.analyzeUserPreferences(userBooks);
+    const topAuthors = preferences.topAuthors.map(normalizeAuthor);
+    const topGenres = preferences.topGenres.map(normalizeText);
+
+    const ranked = books.map((book, index) => {
+      const bookReasons = [];
+
+      const author = (book.authors || []).find(name => topAuthors.includes(normalizeAuthor(name)));
+      if (author) {
+        bookReasons.push({ type: 'author', value: author });
+      }
+
+      const genre = (book.categories || []).find(category => topGenres.includes(normalizeText(category)));
+      if (genre) {
+        bookReasons.push({ type: 'genre', value: genre });
+      }
+
+      if (book.language && preferences.topLanguages.includes(book.language)) {
+        bookReasons.push({ type: 'language', value: book.language });
+      }
+
+      const year = book.publishedDate ? new Date(book.publishedDate).getFullYear() : NaN;
+      const decade = Math.floor(year / 10) * 10;
+      if (preferences.topDecades.includes(decade)) {
+        bookReasons.push({ type: 'decade', value: decade });
+      }
+
+      const score = bookReasons.reduce((sum, reason) => sum + RANKING_WEIGHTS[reason.type], 0)
+        + RANKING_WEIGHTS.sourceOrder * (1 - index / books.length);
+
+      const inLibrary = Boolean(findLibraryBook(userBooks, book));
+      reasons.set(book, inLibrary ? [] : bookReasons);
+      return { book, score, inLibrary };
+    });
+
+    ranked.sort((a, b) => (a.inLibrary - b.inLibrary) || (b.score - a.score));
+
+    return { books: ranked.map(({ book }) => book), reasons };
+  }
+
   // Mock personalized recommendations (replace with real API)
   async mockPersonalizedRecommendations(preferences, limit) {
     // Simulate API delay
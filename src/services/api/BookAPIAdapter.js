@@ -1,9 +1,26 @@
 // Abstract adapter pattern for book APIs
 // This allows easy integration of any book API without affecting the core application
+import requestManager from './RequestManager';
+import { normalizeAdvancedQuery, isAdvancedQueryEmpty, matchesYearRange } from '../../utils/advancedQuery';
+import { normalizeISBN, cleanISBN } from '../../utils/isbn';
+import { DEFAULT_PAGE_SIZE, encodeCursor, decodeCursor } from '../../utils/pagination';
+import { UNKNOWN_LANGUAGE } from '../../utils/searchLanguage';
+import { parseCatalogRecords } from '../../utils/catalogRecords';
+
+// Source pages read at most for one page of results filtered by year
+const YEAR_FILTER_MAX_PAGES = 5;
 
 class BookAPIAdapter {
-  constructor(apiService) {
+  // source: id used to register the adapter and to route details requests
+  // displayName: label shown to users (search filters, result badges)
+  constructor(apiService, { source = 'unknown', displayName = apiService } = {}) {
     this.apiService = apiService;
+    this.source = source;
+    this.displayName = displayName;
+
+    // Whether buildQuery() can express year ranges; otherwise results are
+    // filtered by year after the search
+    this.supportsYearRange = false;
   }
 
   async search(query, options = {}) {
@@ -14,6 +31,167 @@ class BookAPIAdapter {
     throw new Error('getBookDetails method must be implemented by subclass');
   }
 
+  // Fetch JSON through the shared request layer (throttling, retries and
+  // cancellation through options.signal)
+  async fetchJSON(url, options = {}) {
+    try {
+      return await requestManager.fetchJSON(url, options);
+    } catch (error) {
+      if (error.status) {
+        error.message = `${this.displayName} API error: ${error.status}`;
+      }
+      throw error;
+    }
+  }
+
+  // Same as fetchJSON for XML or plain text responses
+  async fetchText(url, options = {}) {
+    try {
+      return await requestManager.fetchText(url, options);
+    } catch (error) {
+      if (error.status) {
+        error.message = `${this.displayName} API error: ${error.status}`;
+      }
+      throw error;
+    }
+  }
+
+  isAbortError(error) {
+    return requestManager.isAbortError(error);
+  }
+
+  // Pagination contract: search options take an opaque `cursor` (omitted for
+  // the first page) and a `pageSize`; results return `nextCursor`, null on
+  // the last page. Offset based sources keep { offset } in the cursor.
+  getPageOptions({ cursor, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const state = decodeCursor(cursor);
+    return {
+      offset: Math.max(0, Number(state?.offset) || 0),
+      pageSize: Math.max(1, Number(pageSize) || DEFAULT_PAGE_SIZE)
+    };
+  }
+
+  getNextCursor(offset, pageSize, totalItems) {
+    const nextOffset = offset + pageSize;
+    return nextOffset < totalItems ? encodeCursor({ offset: nextOffset }) : null;
+  }
+
+  // Advanced search with a structured query (see utils/advancedQuery).
+  // Adapters translate it through buildQuery() and getQueryOptions().
+  async searchAdvanced(query, options = {}) {
+    const normalized = normalizeAdvancedQuery(query);
+
+    if (isAdvancedQueryEmpty(normalized)) {
+      return {
+        success: false,
+        error: 'Advanced query needs at least one search field',
+        books: [],
+        totalItems: 0,
+        hasMore: false,
+        nextCursor: null
+      };
+    }
+
+    const queryString = this.buildQuery(normalized);
+    const searchOptions = { ...options, ...this.getQueryOptions(normalized) };
+    const result = await this.search(queryString, searchOptions);
+
+    if (result.success && !this.supportsYearRange && (normalized.yearFrom || normalized.yearTo)) {
+      return this.fillYearFilteredPage(result, queryString, searchOptions, normalized);
+    }
+
+    return result;
+  }
+
+  // Filter a page by year after the search. The matches of a page can be
+  // few or none, which would read as the end of the results, so the
+  // following source pages are read until the page is full.
+  async fillYearFilteredPage(result, queryString, searchOptions, query) {
+    const { pageSize } = this.getPageOptions(searchOptions);
+    const books = result.books.filter(book => matchesYearRange(book, query));
+    let page = result;
+
+    for (let pages = 1; books.length < pageSize && page.nextCursor && pages < YEAR_FILTER_MAX_PAGES; pages++) {
+      const next = await this.search(queryString, { ...searchOptions, cursor: page.nextCursor });
+      // Later pages continue from the last page read
+      if (!next.success) break;
+
+      books.push(...next.books.filter(book => matchesYearRange(book, query)));
+      page = next;
+    }
+
+    return {
+      ...result,
+      books,
+      hasMore: Boolean(page.nextCursor),
+      nextCursor: page.nextCursor
+    };
+  }
+
+  // Translate a normalized advanced query into the source's query string.
+  // The default just joins the values as free text.
+  buildQuery(query) {
+    return ['text', 'title', 'author', 'subject', 'publisher', 'isbn']
+      .map(field => query[field])
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  // Search options derived from the advanced query (e.g. language filters)
+  getQueryOptions(query) {
+    return {};
+  }
+
+  // ISBN for queries: canonical ISBN-13 when valid, digits otherwise
+  queryISBN(value) {
+    return normalizeISBN(value) || cleanISBN(value);
+  }
+
+  // Wrap a value in double quotes for phrase matching
+  quoteTerm(value) {
+    return `"${String(value).replace(/"/g, '')}"`;
+  }
+
+  // Field searches are single-field advanced queries
+  async searchByAuthor(author, options = {}) {
+    return this.searchAdvanced({ author }, options);
+  }
+
+  async searchByTitle(title, options = {}) {
+    return this.searchAdvanced({ title }, options);
+  }
+
+  async searchByISBN(isbn, options = {}) {
+    return this.searchAdvanced({ isbn }, options);
+  }
+
+  async searchBySubject(subject, options = {}) {
+    return this.searchAdvanced({ subject }, options);
+  }
+
+  // Every edition of a book's work known to this source.
+  // Adapters without a notion of works just return the book's own editions.
+  async getEditions(book) {
+    return {
+      success: true,
+      editions: book?.editions || []
+    };
+  }
+
+  // Books from library catalogue records (MARC 21, MARCXML or Dublin Core,
+  // see utils/catalogRecords), for sources that answer with records
+  parseCatalogRecords(content) {
+    return parseCatalogRecords(content).books.map(fields => this.normalizeCatalogRecord(fields));
+  }
+
+  normalizeCatalogRecord(fields) {
+    return this.createStandardBook({
+      ...fields,
+      source: this.source,
+      editions: [this.createEdition(fields)]
+    });
+  }
+
   // Normalize book data to a standard format
   normalizeBook(rawBook) {
     throw new Error('normalizeBook method must be implemented by subclass');
@@ -32,9 +210,12 @@ class BookAPIAdapter {
     averageRating = 0,
     ratingsCount = 0,
     imageLinks = {},
-    language = 'es',
+    language = UNKNOWN_LANGUAGE,
     isbn = '',
-    source = 'unknown'
+    source = 'unknown',
+    workId = '',
+    editions = [],
+    editionCount = 0
   }) {
     return {
       id: String(id),
@@ -53,8 +234,39 @@ class BookAPIAdapter {
         medium: imageLinks?.medium || imageLinks?.small || imageLinks?.thumbnail || '',
         large: imageLinks?.large || imageLinks?.medium || imageLinks?.small || imageLinks?.thumbnail || ''
       },
-      language: String(language || 'es'),
-      isbn: String(isbn || ''),
+      language: String(language || UNKNOWN_LANGUAGE),
+      isbn: normalizeISBN(isbn),
+      source: String(source),
+      workId: String(workId || ''),
+      editions: Array.isArray(editions) ? editions : [],
+      editionCount: Math.max(Number(editionCount) || 0, Array.isArray(editions) ? editions.length : 0)
+    };
+  }
+
+  // Standard edition format: one published version of a work
+  createEdition({
+    id,
+    title = '',
+    isbn = '',
+    publisher = '',
+    publishedDate = '',
+    language = '',
+    format = '',
+    pageCount = 0,
+    source = this.source
+  }) {
+    const year = parseInt(String(publishedDate || '').match(/\d{4}/)?.[0], 10);
+
+    return {
+      id: String(id),
+      title: String(title || ''),
+      isbn: normalizeISBN(isbn),
+      publisher: String(publisher || ''),
+      publishedDate: String(publishedDate || ''),
+      year: isNaN(year) ? null : year,
+      language: String(language || ''),
+      format: String(format || ''),
+      pageCount: Number(pageCount) || 0,
       source: String(source)
     };
   }
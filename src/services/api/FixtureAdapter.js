@@ -0,0 +1,160 @@
+import BookAPIAdapter from './BookAPIAdapter';
+import GoogleBooksAdapter from './GoogleBooksAdapter';
+import OpenLibraryAdapter from './OpenLibraryAdapter';
+import requestManager from './RequestManager';
+import defaultFixtures from './fixtures/books.json';
+import { normalizeAdvancedQuery, isAdvancedQueryEmpty, matchesYearRange } from '../../utils/advancedQuery';
+import { normalizeText } from '../../utils/bookMatching';
+import { normalizeISBN } from '../../utils/isbn';
+import { ANY_LANGUAGE, resolveSearchLanguage } from '../../utils/searchLanguage';
+
+// Offline adapter backed by recorded API responses (fixtures/books.json):
+// Google Books volumes and Open Library search docs, normalized by the live
+// adapters so the data has exactly the shape the real sources produce.
+// Latency and errors are simulated:
+//   REACT_APP_FIXTURE_LATENCY     average delay in ms (default 300)
+//   REACT_APP_FIXTURE_ERROR_RATE  share of requests that fail, 0-1 (default 0)
+class FixtureAdapter extends BookAPIAdapter {
+  constructor({
+    fixtures = defaultFixtures,
+    latency = Number(process.env.REACT_APP_FIXTURE_LATENCY ?? 300),
+    errorRate = Number(process.env.REACT_APP_FIXTURE_ERROR_RATE ?? 0)
+  } = {}) {
+    super('Fixtures', { source: 'fixtures', displayName: 'Fixtures (offline)' });
+    this.latency = Math.max(0, latency || 0);
+    this.errorRate = Math.min(1, Math.max(0, errorRate || 0));
+    this.supportsYearRange = true;
+    this.books = this.loadFixtures(fixtures);
+  }
+
+  // Normalize the recorded responses with the adapter that produced them
+  loadFixtures(fixtures) {
+    const googleBooks = new GoogleBooksAdapter();
+    const openLibrary = new OpenLibraryAdapter();
+
+    return [
+      ...(fixtures['google-books'] || []).map(item => googleBooks.normalizeBook(item)),
+      ...(fixtures['open-library'] || []).map(doc => openLibrary.normalizeBook(doc))
+    ].map(book => ({
+      ...book,
+      source: this.source,
+      // Covers would be fetched from the live sources
+      imageLinks: { thumbnail: '', small: '', medium: '', large: '' },
+      editions: book.editions.map(edition => ({ ...edition, source: this.source }))
+    }));
+  }
+
+  // Wait like a real request would, then fail at the configured rate
+  async simulateRequest(signal) {
+    const jitter = this.latency * (0.5 + Math.random());
+    await requestManager.sleep(jitter, signal);
+
+    if (Math.random() < this.errorRate) {
+      const error = new Error(`${this.displayName} API error: 503 (simulated)`);
+      error.status = 503;
+      throw error;
+    }
+  }
+
+  async search(query, options = {}) {
+    return this.searchAdvanced({ text: query }, options);
+  }
+
+  // Fixtures are filtered field by field instead of through a query language
+  async searchAdvanced(query, options = {}) {
+    const normalized = normalizeAdvancedQuery(query);
+
+    try {
+      await this.simulateRequest(options.signal);
+
+      if (isAdvancedQueryEmpty(normalized)) {
+        throw new Error('Query cannot be empty');
+      }
+
+      const language = resolveSearchLanguage(normalized.language || options.language);
+      const matches = this.books.filter(book => (
+        this.matchesQuery(book, normalized) &&
+        (language === ANY_LANGUAGE || !book.language || book.language === language)
+      ));
+
+      const { offset, pageSize } = this.getPageOptions(options);
+      const nextCursor = this.getNextCursor(offset, pageSize, matches.length);
+
+      return {
+        success: true,
+        books: matches.slice(offset, offset + pageSize),
+        totalItems: matches.length,
+        hasMore: Boolean(nextCursor),
+        nextCursor
+      };
+    } catch (error) {
+      return {
+        success: false,
+        aborted: this.isAbortError(error),
+        error: error.message,
+        books: [],
+        totalItems: 0,
+        hasMore: false,
+        nextCursor: null
+      };
+    }
+  }
+
+  matchesQuery(book, query) {
+    const contains = (values, term) => {
+      const needle = normalizeText(term);
+      return values.some(value => normalizeText(value).includes(needle));
+    };
+
+    if (query.text && !normalizeText(query.text).split(' ').every(word => contains(
+      [book.title, book.description, book.publisher, book.isbn, ...book.authors, ...book.categories],
+      word
+    ))) {
+      return false;
+    }
+
+    if (query.title && !contains([book.title], query.title)) return false;
+    if (query.author && !contains(book.authors, query.author)) return false;
+    if (query.subject && !contains(book.categories, query.subject)) return false;
+    if (query.publisher && !contains([book.publisher, ...book.editions.map(e => e.publisher)], query.publisher)) {
+      return false;
+    }
+
+    if (query.isbn) {
+      const isbn = normalizeISBN(query.isbn);
+      const isbns = [book.isbn, ...book.editions.map(edition => edition.isbn)];
+      if (!isbn || !isbns.includes(isbn)) return false;
+    }
+
+    return matchesYearRange(book, query);
+  }
+
+  async getBookDetails(bookId, options = {}) {
+    try {
+      await this.simulateRequest(options.signal);
+
+      const book = this.books.find(candidate => candidate.id === String(bookId));
+      if (!book) {
+        throw new Error(`Book not found: ${bookId}`);
+      }
+
+      return {
+        success: true,
+        book
+      };
+    } catch (error) {
+      return {
+        success: false,
+        aborted: this.isAbortError(error),
+        error: error.message,
+        book: null
+      };
+    }
+  }
+
+  normalizeBook(rawBook) {
+    return this.createStandardBook({ ...rawBook, source: this.source });
+  }
+}
+
+export default FixtureAdapter;
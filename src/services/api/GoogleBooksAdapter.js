@@ -1,82 +1,92 @@
 import BookAPIAdapter from './BookAPIAdapter';
+import { getWorkKey, mergeEditions } from '../../utils/bookMatching';
+import { pickISBN } from '../../utils/isbn';
+import { ANY_LANGUAGE, resolveSearchLanguage } from '../../utils/searchLanguage';
+
+// Largest maxResults the volumes endpoint accepts
+const MAX_RESULTS = 40;
 
 class GoogleBooksAdapter extends BookAPIAdapter {
   constructor(apiKey = null) {
-    super('GoogleBooks');
+    super('GoogleBooks', { source: 'google-books', displayName: 'Google Books' });
     this.baseURL = 'https://www.googleapis.com/books/v1';
     this.apiKey = apiKey; // Optional: for higher rate limits
   }
 
   async search(query, options = {}) {
     try {
+      const { offset, pageSize: requestedSize } = this.getPageOptions(options);
+      const pageSize = Math.min(requestedSize, MAX_RESULTS);
       const {
-        maxResults = 20,
-        startIndex = 0,
         orderBy = 'relevance', // relevance, newest
-        langRestrict = 'es',
-        printType = 'books'
+        printType = 'books',
+        signal
       } = options;
 
       let url = `${this.baseURL}/volumes?q=${encodeURIComponent(query)}`;
-      url += `&maxResults=${maxResults}`;
-      url += `&startIndex=${startIndex}`;
+      url += `&maxResults=${pageSize}`;
+      url += `&startIndex=${offset}`;
       url += `&orderBy=${orderBy}`;
-      url += `&langRestrict=${langRestrict}`;
+      const language = resolveSearchLanguage(options.language);
+      if (language !== ANY_LANGUAGE) {
+        url += `&langRestrict=${language}`;
+      }
       url += `&printType=${printType}`;
       
       if (this.apiKey) {
         url += `&key=${this.apiKey}`;
       }
 
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`Google Books API error: ${response.status}`);
-      }
-
-      const data = await response.json();
+      const data = await this.fetchJSON(url, { signal });
+      // Google keeps reporting totalItems past the last page, so an empty
+      // page also ends the results
+      const nextCursor = data.items?.length
+        ? this.getNextCursor(offset, pageSize, data.totalItems || 0)
+        : null;
       
       return {
         success: true,
         books: (data.items || []).map(item => this.normalizeBook(item)),
         totalItems: data.totalItems || 0,
-        hasMore: (startIndex + maxResults) < (data.totalItems || 0)
+        hasMore: Boolean(nextCursor),
+        nextCursor
       };
     } catch (error) {
-      console.error('Google Books API Error:', error);
+      if (!this.isAbortError(error)) {
+        console.error('Google Books API Error:', error);
+      }
       return {
         success: false,
+        aborted: this.isAbortError(error),
         error: error.message,
         books: [],
         totalItems: 0,
-        hasMore: false
+        hasMore: false,
+        nextCursor: null
       };
     }
   }
 
-  async getBookDetails(bookId) {
+  async getBookDetails(bookId, options = {}) {
     try {
       let url = `${this.baseURL}/volumes/${bookId}`;
       if (this.apiKey) {
         url += `?key=${this.apiKey}`;
       }
 
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`Google Books API error: ${response.status}`);
-      }
-
-      const data = await response.json();
+      const data = await this.fetchJSON(url, { signal: options.signal });
       
       return {
         success: true,
         book: this.normalizeBook(data)
       };
     } catch (error) {
-      console.error('Google Books API Error:', error);
+      if (!this.isAbortError(error)) {
+        console.error('Google Books API Error:', error);
+      }
       return {
         success: false,
+        aborted: this.isAbortError(error),
         error: error.message,
         book: null
       };
@@ -91,7 +101,19 @@ class GoogleBooksAdapter extends BookAPIAdapter {
     const identifiers = volumeInfo.industryIdentifiers || [];
     const isbn13 = identifiers.find(id => id.type === 'ISBN_13')?.identifier || '';
     const isbn10 = identifiers.find(id => id.type === 'ISBN_10')?.identifier || '';
-    const isbn = isbn13 || isbn10;
+    const isbn = pickISBN([isbn13, isbn10]);
+
+    // Google has no works: each volume is a single edition
+    const edition = this.createEdition({
+      id: rawBook.id,
+      title: volumeInfo.title,
+      isbn,
+      publisher: volumeInfo.publisher,
+      publishedDate: volumeInfo.publishedDate,
+      language: volumeInfo.language,
+      format: this.getFormat(volumeInfo, saleInfo),
+      pageCount: volumeInfo.pageCount
+    });
 
     return this.createStandardBook({
       id: rawBook.id,
@@ -107,25 +129,56 @@ class GoogleBooksAdapter extends BookAPIAdapter {
       imageLinks: volumeInfo.imageLinks || {},
       language: volumeInfo.language,
       isbn: isbn,
-      source: 'google-books'
+      source: this.source,
+      editions: [edition]
     });
   }
 
-  // Search by specific fields
-  async searchByAuthor(author, options = {}) {
-    return this.search(`inauthor:"${author}"`, options);
+  getFormat(volumeInfo, saleInfo) {
+    if (saleInfo.isEbook) {
+      return 'ebook';
+    }
+    return volumeInfo.printType === 'MAGAZINE' ? 'magazine' : 'print';
   }
 
-  async searchByTitle(title, options = {}) {
-    return this.search(`intitle:"${title}"`, options);
+  // Google has no work ids, so other editions are volumes with the same
+  // title and first author
+  async getEditions(book, options = {}) {
+    const query = this.buildQuery({ title: book.title, author: book.authors?.[0] });
+
+    const result = await this.search(query, { pageSize: MAX_RESULTS, language: ANY_LANGUAGE, signal: options.signal });
+    if (!result.success) {
+      return { success: false, error: result.error, editions: [] };
+    }
+
+    const workKey = getWorkKey(book);
+    const editions = result.books
+      .filter(candidate => getWorkKey(candidate) === workKey)
+      .flatMap(candidate => candidate.editions);
+
+    return {
+      success: true,
+      editions: mergeEditions(book.editions || [], editions)
+    };
   }
 
-  async searchByISBN(isbn, options = {}) {
-    return this.search(`isbn:${isbn}`, options);
+  // Advanced query in Google Books syntax: intitle:, inauthor:, subject:,
+  // inpublisher:, isbn:. Years are filtered after the search.
+  buildQuery(query) {
+    const parts = [];
+
+    if (query.text) parts.push(query.text);
+    if (query.title) parts.push(`intitle:${this.quoteTerm(query.title)}`);
+    if (query.author) parts.push(`inauthor:${this.quoteTerm(query.author)}`);
+    if (query.subject) parts.push(`subject:${this.quoteTerm(query.subject)}`);
+    if (query.publisher) parts.push(`inpublisher:${this.quoteTerm(query.publisher)}`);
+    if (query.isbn) parts.push(`isbn:${this.queryISBN(query.isbn)}`);
+
+    return parts.join(' ');
   }
 
-  async searchBySubject(subject, options = {}) {
-    return this.search(`subject:"${subject}"`, options);
+  getQueryOptions(query) {
+    return query.language ? { language: query.language } : {};
   }
 }
 
@@ -0,0 +1,333 @@
+import BookAPIAdapter from './BookAPIAdapter';
+import { encodeCursor, decodeCursor } from '../../utils/pagination';
+import { toISO6391 } from '../../utils/languageCodes';
+import { pickISBN } from '../../utils/isbn';
+
+const ATOM_ENTRY_TYPE = 'application/atom+xml';
+const OPENSEARCH_TYPE = 'application/opensearchdescription+xml';
+
+// Entries kept in memory for the details page
+const MAX_ENTRIES = 200;
+
+// Namespace agnostic element lookups: feeds mix Atom, Dublin Core, OPDS and
+// OpenSearch namespaces with arbitrary prefixes
+const children = (node, name) => Array.from(node?.getElementsByTagNameNS('*', name) || []);
+
+const directChildren = (node, name) => Array.from(node?.children || [])
+  .filter(child => child.localName === name);
+
+const text = (node, name) => directChildren(node, name)[0]?.textContent?.trim() || '';
+
+// Base64 of the UTF-8 bytes of a string (btoa alone only takes Latin-1)
+const toBase64 = (value) => btoa(String.fromCharCode(...new TextEncoder().encode(value)));
+
+// Base64url so entry ids and URLs are safe inside /book/:source/:id routes
+const encodeId = (value) => toBase64(value)
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const decodeId = (value) => {
+  try {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+  } catch (error) {
+    return '';
+  }
+};
+
+// Adapter for a self-hosted catalogue exposing OPDS 1.2 acquisition feeds
+// (Calibre, Calibre-Web, Kavita, COPS...). Search goes through the
+// OpenSearch descriptor advertised by the root feed; results follow the
+// feed's rel="next" links for pagination.
+class OpdsAdapter extends BookAPIAdapter {
+  // endpoint: { id, name, url, username, password }
+  constructor(endpoint) {
+    super('OPDS', {
+      source: `opds:${endpoint.id}`,
+      displayName: endpoint.name || endpoint.url
+    });
+    this.endpoint = endpoint;
+    this.searchTemplate = null;
+
+    // Entries seen in feeds, by book id, for the details page (the most
+    // recent MAX_ENTRIES)
+    this.entries = new Map();
+  }
+
+  rememberEntry(book) {
+    this.entries.delete(book.id);
+    this.entries.set(book.id, book);
+    if (this.entries.size > MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Whether a URL belongs to the catalogue's server
+  isCatalogueURL(url) {
+    try {
+      return new URL(url).origin === new URL(this.endpoint.url).origin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Credentials are only sent to the catalogue's own server, never to hosts
+  // its feeds link to
+  getRequestOptions(signal, url) {
+    const headers = { Accept: `${ATOM_ENTRY_TYPE}, application/xml;q=0.9, */*;q=0.8` };
+    const { username, password } = this.endpoint;
+
+    if (username && this.isCatalogueURL(url)) {
+      headers.Authorization = `Basic ${toBase64(`${username}:${password || ''}`)}`;
+    }
+
+    return { headers, signal };
+  }
+
+  async fetchXML(url, signal) {
+    const body = await this.fetchText(url, this.getRequestOptions(signal, url));
+    const xml = new DOMParser().parseFromString(body, 'application/xml');
+
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+      throw new Error(`${this.displayName}: invalid XML at ${url}`);
+    }
+
+    return xml;
+  }
+
+  resolveURL(href, base) {
+    try {
+      return new URL(href, base).toString();
+    } catch (error) {
+      return href;
+    }
+  }
+
+  // Find the search URL template: an OpenSearch descriptor linked from the
+  // root feed, or a direct Atom search link with {searchTerms}
+  async getSearchTemplate(signal) {
+    if (this.searchTemplate) {
+      return this.searchTemplate;
+    }
+
+    const rootURL = this.endpoint.url;
+    const root = await this.fetchXML(rootURL, signal);
+
+    let template = null;
+    if (root.documentElement.localName === 'OpenSearchDescription') {
+      template = this.parseOpenSearchDescriptor(root, rootURL);
+    } else {
+      const searchLinks = directChildren(root.documentElement, 'link')
+        .filter(link => link.getAttribute('rel') === 'search');
+
+      const direct = searchLinks.find(link => (link.getAttribute('type') || '').startsWith(ATOM_ENTRY_TYPE));
+      const descriptor = searchLinks.find(link => link.getAttribute('type') === OPENSEARCH_TYPE);
+
+      if (direct) {
+        template = this.resolveURL(direct.getAttribute('href'), rootURL);
+      } else if (descriptor) {
+        const descriptorURL = this.resolveURL(descriptor.getAttribute('href'), rootURL);
+        const descriptorXML = await this.fetchXML(descriptorURL, signal);
+        template = this.parseOpenSearchDescriptor(descriptorXML, descriptorURL);
+      }
+    }
+
+    if (!template) {
+      throw new Error(`${this.displayName} does not advertise a search endpoint`);
+    }
+
+    this.searchTemplate = template;
+    return template;
+  }
+
+  // Atom URL template of an OpenSearch description document
+  parseOpenSearchDescriptor(xml, baseURL) {
+    const urls = children(xml, 'Url');
+    const atom = urls.find(url => (url.getAttribute('type') || '').startsWith(ATOM_ENTRY_TYPE)) || urls[0];
+    const template = atom?.getAttribute('template');
+    return template ? this.resolveURL(template, baseURL) : null;
+  }
+
+  // Fill an OpenSearch template; optional parameters ({name?}) are dropped
+  fillTemplate(template, query, pageSize) {
+    // Keep the braces of the template out of URL encoding
+    return template
+      .replace(/%7B/gi, '{')
+      .replace(/%7D/gi, '}')
+      .replace(/\{searchTerms\??\}/g, encodeURIComponent(query))
+      .replace(/\{count\??\}/g, String(pageSize))
+      .replace(/\{startIndex\??\}/g, '0')
+      .replace(/\{startPage\??\}/g, '1')
+      .replace(/\{[^}]+\?\}/g, '')
+      .replace(/\{language\}/g, '*');
+  }
+
+  async search(query, options = {}) {
+    try {
+      const { pageSize } = this.getPageOptions(options);
+      const state = decodeCursor(options.cursor);
+
+      const url = state?.url || this.fillTemplate(await this.getSearchTemplate(options.signal), query, pageSize);
+      const feed = await this.fetchXML(url, options.signal);
+      const books = this.parseFeed(feed, url);
+
+      // Without opensearch:totalResults the total is what was seen so far
+      const seen = (state?.seen || 0) + books.length;
+      const totalResults = parseInt(children(feed, 'totalResults')[0]?.textContent, 10);
+
+      const next = directChildren(feed.documentElement, 'link')
+        .find(link => link.getAttribute('rel') === 'next');
+      const nextCursor = next && books.length > 0
+        ? encodeCursor({ url: this.resolveURL(next.getAttribute('href'), url), seen })
+        : null;
+
+      return {
+        success: true,
+        books,
+        totalItems: isNaN(totalResults) ? seen : totalResults,
+        hasMore: Boolean(nextCursor),
+        nextCursor
+      };
+    } catch (error) {
+      if (!this.isAbortError(error)) {
+        console.error('OPDS API Error:', error);
+      }
+      return {
+        success: false,
+        aborted: this.isAbortError(error),
+        error: error.message,
+        books: [],
+        totalItems: 0,
+        hasMore: false,
+        nextCursor: null
+      };
+    }
+  }
+
+  // Entries of an acquisition feed (navigation entries without
+  // acquisition links are skipped)
+  parseFeed(xml, baseURL) {
+    const root = xml.documentElement;
+    const entries = root.localName === 'entry' ? [root] : directChildren(root, 'entry');
+
+    return entries
+      .filter(entry => directChildren(entry, 'link').some(link => (
+        (link.getAttribute('rel') || '').startsWith('http://opds-spec.org/acquisition')
+      )))
+      .map(entry => {
+        const book = this.normalizeBook(entry, baseURL);
+        this.rememberEntry(book);
+        return book;
+      });
+  }
+
+  normalizeBook(entry, baseURL = this.endpoint.url) {
+    const links = directChildren(entry, 'link').map(link => ({
+      rel: link.getAttribute('rel') || '',
+      type: link.getAttribute('type') || '',
+      href: this.resolveURL(link.getAttribute('href'), baseURL)
+    }));
+
+    const entryId = text(entry, 'id');
+    // The id lets the details reload in a later session: the entry document
+    // when the server has one, otherwise the feed and the entry's Atom id
+    // (often a urn:uuid:) to find it in the feed again
+    const alternate = links.find(link => link.rel === 'alternate' && link.type.includes('type=entry'));
+    const id = encodeId(alternate?.href || JSON.stringify({ feed: baseURL, entry: entryId }));
+
+    const image = links.find(link => link.rel === 'http://opds-spec.org/image');
+    const thumbnail = links.find(link => link.rel === 'http://opds-spec.org/image/thumbnail');
+
+    const identifiers = directChildren(entry, 'identifier').map(node => node.textContent.trim());
+    const isbn = pickISBN(identifiers.map(value => value.replace(/^urn:isbn:/i, '')));
+
+    const publishedDate = text(entry, 'issued') || text(entry, 'date') || text(entry, 'published');
+
+    const edition = this.createEdition({
+      id,
+      title: text(entry, 'title'),
+      isbn,
+      publisher: text(entry, 'publisher'),
+      publishedDate,
+      language: toISO6391(text(entry, 'language')),
+      format: links.some(link => link.type === 'application/epub+zip') ? 'ebook' : ''
+    });
+
+    const book = this.createStandardBook({
+      id,
+      title: text(entry, 'title'),
+      authors: directChildren(entry, 'author').map(author => text(author, 'name')).filter(Boolean),
+      description: text(entry, 'summary') || text(entry, 'content'),
+      publishedDate,
+      publisher: text(entry, 'publisher'),
+      categories: directChildren(entry, 'category')
+        .map(category => category.getAttribute('label') || category.getAttribute('term'))
+        .filter(Boolean),
+      imageLinks: {
+        thumbnail: thumbnail?.href || image?.href,
+        large: image?.href
+      },
+      language: toISO6391(text(entry, 'language')),
+      isbn,
+      source: this.source,
+      editions: [edition]
+    });
+
+    // Download links of the user's own copy
+    book.acquisitionLinks = links
+      .filter(link => link.rel.startsWith('http://opds-spec.org/acquisition'))
+      .map(({ type, href }) => ({ type, href }));
+
+    return book;
+  }
+
+  async getBookDetails(bookId, options = {}) {
+    try {
+      if (this.entries.has(bookId)) {
+        return { success: true, book: this.entries.get(bookId) };
+      }
+
+      // Not seen in this session: reload the entry document, or the feed it
+      // was listed in. The id comes from the route, so only documents of the
+      // catalogue's server are loaded.
+      const decoded = decodeId(bookId);
+      let location = { url: decoded, entryId: null };
+      if (decoded.startsWith('{')) {
+        const { feed, entry } = JSON.parse(decoded);
+        location = { url: String(feed || ''), entryId: entry };
+      }
+
+      if (!/^https?:\/\//.test(location.url) || !this.isCatalogueURL(location.url)) {
+        throw new Error('Book not found');
+      }
+
+      const xml = await this.fetchXML(location.url, options.signal);
+      const root = xml.documentElement;
+      const entries = root.localName === 'entry' ? [root] : directChildren(root, 'entry');
+      const entry = location.entryId === null
+        ? entries[0]
+        : entries.find(item => text(item, 'id') === location.entryId);
+      if (!entry) {
+        throw new Error('Book not found');
+      }
+
+      const book = { ...this.normalizeBook(entry, location.url), id: bookId };
+      this.rememberEntry(book);
+
+      return { success: true, book };
+    } catch (error) {
+      if (!this.isAbortError(error)) {
+        console.error('OPDS API Error:', error);
+      }
+      return {
+        success: false,
+        aborted: this.isAbortError(error),
+        error: error.message,
+        book: null
+      };
+    }
+  }
+}
+
+export default OpdsAdapter;
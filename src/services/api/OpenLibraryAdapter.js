@@ -1,81 +1,166 @@
 import BookAPIAdapter from './BookAPIAdapter';
+import { toISO6391, toMARCLanguage } from '../../utils/languageCodes';
+import { pickISBN } from '../../utils/isbn';
+import { ANY_LANGUAGE, UNKNOWN_LANGUAGE, resolveSearchLanguage } from '../../utils/searchLanguage';
+
+// Open Library sort for the shared orderBy option (relevance, newest)
+const SORT_BY_ORDER = {
+  newest: 'new'
+};
 
 class OpenLibraryAdapter extends BookAPIAdapter {
   constructor() {
-    super('OpenLibrary');
+    super('OpenLibrary', { source: 'open-library', displayName: 'Open Library' });
     this.baseURL = 'https://openlibrary.org';
     this.coversURL = 'https://covers.openlibrary.org/b';
+    this.supportsYearRange = true;
   }
 
   async search(query, options = {}) {
     try {
+      const { offset, pageSize } = this.getPageOptions(options);
       const {
-        limit = 20,
-        offset = 0,
-        sort = 'relevance', // relevance, rating, new, old
-        lang = 'es'
+        sort = SORT_BY_ORDER[options.orderBy] || 'relevance', // relevance, rating, new, old
+        signal
       } = options;
 
       let url = `${this.baseURL}/search.json?q=${encodeURIComponent(query)}`;
-      url += `&limit=${limit}`;
+      url += `&limit=${pageSize}`;
       url += `&offset=${offset}`;
       url += `&sort=${sort}`;
-      url += `&lang=${lang}`;
-
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`Open Library API error: ${response.status}`);
+      // lang only ranks results in that language first
+      const language = resolveSearchLanguage(options.language);
+      if (language !== ANY_LANGUAGE) {
+        url += `&lang=${language}`;
       }
+      url += '&fields=*,editions';
 
-      const data = await response.json();
+      const data = await this.fetchJSON(url, { signal });
+      const nextCursor = this.getNextCursor(offset, pageSize, data.numFound || 0);
       
       return {
         success: true,
         books: (data.docs || []).map(item => this.normalizeBook(item)),
         totalItems: data.numFound || 0,
-        hasMore: (offset + limit) < (data.numFound || 0)
+        hasMore: Boolean(nextCursor),
+        nextCursor
       };
     } catch (error) {
-      console.error('Open Library API Error:', error);
+      if (!this.isAbortError(error)) {
+        console.error('Open Library API Error:', error);
+      }
       return {
         success: false,
+        aborted: this.isAbortError(error),
         error: error.message,
         books: [],
         totalItems: 0,
-        hasMore: false
+        hasMore: false,
+        nextCursor: null
       };
     }
   }
 
-  async getBookDetails(bookId) {
+  async getBookDetails(bookId, options = {}) {
+    const { signal } = options;
+
     try {
       // bookId should be in format like '/works/OL45804W' or 'OL45804W'
       const workId = bookId.startsWith('/works/') ? bookId : `/works/${bookId}`;
-      const url = `${this.baseURL}${workId}.json`;
+      const work = await this.fetchJSON(`${this.baseURL}${workId}.json`, { signal });
 
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`Open Library API error: ${response.status}`);
+      // The work only references its authors and editions, resolve them too
+      const [authors, editions, ratings] = await Promise.allSettled([
+        this.fetchAuthors(work.authors || [], { signal }),
+        this.fetchEditions(workId, { signal }),
+        this.fetchJSON(`${this.baseURL}${workId}/ratings.json`, { signal })
+      ]);
+
+      const aborted = [authors, editions, ratings]
+        .find(result => result.status === 'rejected' && this.isAbortError(result.reason));
+      if (aborted) {
+        throw aborted.reason;
       }
 
-      const data = await response.json();
-      
+      const editionData = editions.status === 'fulfilled' ? editions.value : { entries: [], size: 0 };
+      const representative = this.pickRepresentativeEdition(editionData.entries);
+      const ratingSummary = ratings.status === 'fulfilled' ? ratings.value.summary || {} : {};
+
+      const book = this.normalizeBook({
+        ...work,
+        author_name: authors.status === 'fulfilled' ? authors.value : [],
+        cover_i: work.covers?.find(cover => cover > 0) || representative?.covers?.find(cover => cover > 0),
+        isbn: [...(representative?.isbn_13 || []), ...(representative?.isbn_10 || [])],
+        publishers: representative?.publishers,
+        publish_date: [work.first_publish_date || representative?.publish_date].filter(Boolean),
+        number_of_pages_median: representative?.number_of_pages,
+        language: representative?.languages?.map(language => language.key),
+        subject: work.subjects,
+        ratings_average: ratingSummary.average,
+        ratings_count: ratingSummary.count,
+        edition_count: editionData.size,
+        editions: { docs: editionData.entries }
+      }, true);
+
       return {
         success: true,
-        book: this.normalizeBook(data, true)
+        book
       };
     } catch (error) {
-      console.error('Open Library API Error:', error);
+      if (!this.isAbortError(error)) {
+        console.error('Open Library API Error:', error);
+      }
       return {
         success: false,
+        aborted: this.isAbortError(error),
         error: error.message,
         book: null
       };
     }
   }
 
+  // Resolve `{author: {key}}` refs of a work into author names
+  async fetchAuthors(authorRefs, options = {}) {
+    const keys = authorRefs
+      .map(ref => ref.author?.key || ref.key)
+      .filter(Boolean)
+      .slice(0, 5);
+
+    const authors = await Promise.allSettled(
+      keys.map(key => this.fetchJSON(`${this.baseURL}${key}.json`, options))
+    );
+
+    return authors
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value.personal_name || result.value.name)
+      .filter(Boolean);
+  }
+
+  // Raw edition records of a work
+  async fetchEditions(workId, { limit = 50, signal } = {}) {
+    const data = await this.fetchJSON(`${this.baseURL}${workId}/editions.json?limit=${limit}`, { signal });
+    return {
+      entries: data.entries || [],
+      size: data.size || (data.entries || []).length
+    };
+  }
+
+  // Edition with the most complete metadata, used to fill the work's gaps
+  pickRepresentativeEdition(entries = []) {
+    const score = (edition) => (
+      (edition.isbn_13?.length || edition.isbn_10?.length ? 3 : 0) +
+      (edition.number_of_pages ? 2 : 0) +
+      (edition.publishers?.length ? 1 : 0) +
+      (edition.publish_date ? 1 : 0) +
+      (edition.covers?.some(cover => cover > 0) ? 1 : 0) +
+      (edition.languages?.length ? 1 : 0)
+    );
+
+    return entries.reduce((best, edition) => (
+      !best || score(edition) > score(best) ? edition : best
+    ), null);
+  }
+
   normalizeBook(rawBook, isDetailView = false) {
     // Handle different response formats
     const id = rawBook.key || rawBook.work_id || rawBook.edition_key?.[0] || '';
@@ -104,11 +189,15 @@ class OpenLibraryAdapter extends BookAPIAdapter {
     // Generate image links
     const imageLinks = this.generateImageLinks(rawBook);
     
-    // Extract language
-    const language = rawBook.language?.[0] || 'es';
+    // Extract language (Open Library uses MARC codes such as "spa")
+    const language = toISO6391(rawBook.language?.[0]) || UNKNOWN_LANGUAGE;
     
     // Extract ISBN
-    const isbn = rawBook.isbn?.[0] || rawBook.isbn_13?.[0] || rawBook.isbn_10?.[0] || '';
+    const isbn = pickISBN([...(rawBook.isbn || []), ...(rawBook.isbn_13 || []), ...(rawBook.isbn_10 || [])]);
+
+    // Work id and the editions returned with the search doc
+    const workId = id.startsWith('/works/') ? id.replace('/works/', '') : '';
+    const editions = (rawBook.editions?.docs || []).map(edition => this.normalizeEdition(edition));
 
     return this.createStandardBook({
       id: id.replace('/works/', ''),
@@ -124,16 +213,72 @@ class OpenLibraryAdapter extends BookAPIAdapter {
       imageLinks,
       language,
       isbn,
-      source: 'open-library'
+      source: this.source,
+      workId,
+      editions,
+      editionCount: rawBook.edition_count
+    });
+  }
+
+  // Normalize an edition record from /works/{id}/editions.json or a search doc
+  normalizeEdition(rawEdition) {
+    const publishDate = [].concat(rawEdition.publish_date || [])[0] || '';
+    const languageKey = rawEdition.languages?.[0]?.key || rawEdition.language?.[0] || '';
+
+    return this.createEdition({
+      id: (rawEdition.key || '').replace('/books/', ''),
+      title: rawEdition.title,
+      isbn: pickISBN([...(rawEdition.isbn_13 || []), ...(rawEdition.isbn_10 || []), ...(rawEdition.isbn || [])]),
+      publisher: rawEdition.publishers?.[0] || rawEdition.publisher?.[0] || '',
+      publishedDate: publishDate,
+      language: toISO6391(languageKey),
+      format: rawEdition.physical_format || rawEdition.format?.[0] || '',
+      pageCount: rawEdition.number_of_pages || rawEdition.number_of_pages_median || 0
     });
   }
 
+  // Fetch every edition of the book's work
+  async getEditions(book, options = {}) {
+    try {
+      const workId = book.workId || book.id;
+      if (!workId || !/^OL\d+W$/.test(workId.replace('/works/', ''))) {
+        return { success: true, editions: book.editions || [] };
+      }
+
+      // Detail records already carry the full list
+      if (book.editionCount > 0 && book.editions?.length >= book.editionCount) {
+        return { success: true, editions: book.editions };
+      }
+
+      const { entries } = await this.fetchEditions(`/works/${workId.replace('/works/', '')}`, {
+        signal: options.signal
+      });
+
+      return {
+        success: true,
+        editions: entries.map(entry => this.normalizeEdition(entry))
+      };
+    } catch (error) {
+      if (!this.isAbortError(error)) {
+        console.error('Open Library API Error:', error);
+      }
+      return {
+        success: false,
+        aborted: this.isAbortError(error),
+        error: error.message,
+        editions: []
+      };
+    }
+  }
+
   extractAuthors(rawBook) {
     if (rawBook.author_name) {
       return rawBook.author_name;
     }
     if (rawBook.authors) {
-      return rawBook.authors.map(author => author.name || author).filter(Boolean);
+      return rawBook.authors
+        .map(author => author.name || author.author?.name || author)
+        .filter(author => typeof author === 'string' && author);
     }
     return [];
   }
@@ -183,21 +328,24 @@ class OpenLibraryAdapter extends BookAPIAdapter {
     return {};
   }
 
-  // Search by specific fields
-  async searchByAuthor(author, options = {}) {
-    return this.search(`author:"${author}"`, options);
-  }
-
-  async searchByTitle(title, options = {}) {
-    return this.search(`title:"${title}"`, options);
-  }
+  // Advanced query in Open Library (Solr) syntax
+  buildQuery(query) {
+    const parts = [];
 
-  async searchByISBN(isbn, options = {}) {
-    return this.search(`isbn:${isbn}`, options);
-  }
+    if (query.text) parts.push(query.text);
+    if (query.title) parts.push(`title:${this.quoteTerm(query.title)}`);
+    if (query.author) parts.push(`author:${this.quoteTerm(query.author)}`);
+    if (query.subject) parts.push(`subject:${this.quoteTerm(query.subject)}`);
+    if (query.publisher) parts.push(`publisher:${this.quoteTerm(query.publisher)}`);
+    if (query.isbn) parts.push(`isbn:${this.queryISBN(query.isbn)}`);
+    if (query.yearFrom || query.yearTo) {
+      parts.push(`first_publish_year:[${query.yearFrom || '*'} TO ${query.yearTo || '*'}]`);
+    }
+    if (query.language && query.language !== ANY_LANGUAGE) {
+      parts.push(`language:${toMARCLanguage(query.language)}`);
+    }
 
-  async searchBySubject(subject, options = {}) {
-    return this.search(`subject:"${subject}"`, options);
+    return parts.join(' AND ');
   }
 }
 
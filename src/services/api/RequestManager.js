@@ -0,0 +1,201 @@
+// Shared HTTP layer for book API adapters:
+// - limits concurrent requests per host, body downloads included
+// - retries 429 and 5xx responses with exponential backoff and jitter,
+//   honouring Retry-After (giving up when the server asks to wait longer
+//   than maxDelay)
+// - supports cancellation through AbortController signals
+class RequestManager {
+  constructor({
+    maxConcurrentPerHost = 4,
+    maxRetries = 3,
+    baseDelay = 500, // ms
+    maxDelay = 15000 // ms
+  } = {}) {
+    this.maxConcurrentPerHost = maxConcurrentPerHost;
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+
+    // host -> { active, queue }
+    this.hosts = new Map();
+  }
+
+  // Fetch a URL and return the parsed JSON body.
+  // Throws an Error with `status` for non-2xx responses and an AbortError
+  // when the signal is aborted.
+  async fetchJSON(url, options = {}) {
+    return this.fetch(url, { ...options, read: response => response.json() });
+  }
+
+  // Same as fetchJSON for XML or plain text responses
+  async fetchText(url, options = {}) {
+    return this.fetch(url, { ...options, read: response => response.text() });
+  }
+
+  // Fetch a URL and return the response, or what `read` returns for it.
+  // The body should be read through `read`: the host slot is only held
+  // until it resolves.
+  async fetch(url, { signal, maxRetries = this.maxRetries, read = null, ...init } = {}) {
+    const host = this.getHost(url);
+    let attempt = 0;
+
+    while (true) {
+      this.throwIfAborted(signal);
+
+      let response;
+      let networkError = null;
+
+      await this.acquire(host, signal);
+      try {
+        this.throwIfAborted(signal);
+        response = await fetch(url, { ...init, signal });
+        if (response.ok) {
+          return read ? await read(response) : response;
+        }
+      } catch (error) {
+        // Errors reading the body are not retried
+        if (this.isAbortError(error) || response) {
+          throw error;
+        }
+        networkError = error;
+      } finally {
+        this.release(host);
+      }
+
+      const retryable = networkError || this.isRetryableStatus(response.status);
+      const delay = retryable && attempt < maxRetries ? this.getRetryDelay(attempt, response) : null;
+      if (delay === null) {
+        if (networkError) {
+          throw networkError;
+        }
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      await this.sleep(delay, signal);
+      attempt++;
+    }
+  }
+
+  isRetryableStatus(status) {
+    return status === 429 || status === 408 || (status >= 500 && status !== 501);
+  }
+
+  // Retry-After (seconds or HTTP date) wins over the computed backoff. null
+  // when the server asks to wait longer than maxDelay: the request fails
+  // instead of retrying before the server is ready.
+  getRetryDelay(attempt, response = null) {
+    const retryAfter = response?.headers?.get?.('Retry-After');
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const date = Date.parse(retryAfter);
+      const delay = !isNaN(seconds) ? seconds * 1000 : (!isNaN(date) ? Math.max(date - Date.now(), 0) : null);
+
+      if (delay !== null) {
+        return delay <= this.maxDelay ? delay : null;
+      }
+    }
+
+    // Exponential backoff with jitter: between 50% and 100% of the window
+    const window = Math.min(this.baseDelay * Math.pow(2, attempt), this.maxDelay);
+    return window / 2 + Math.random() * (window / 2);
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return 'default';
+    }
+  }
+
+  getHostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, queue: [] });
+    }
+    return this.hosts.get(host);
+  }
+
+  // Wait for a free slot on the host
+  acquire(host, signal) {
+    const state = this.getHostState(host);
+
+    if (state.active < this.maxConcurrentPerHost) {
+      state.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal };
+
+      waiter.onAbort = () => {
+        state.queue = state.queue.filter(entry => entry !== waiter);
+        reject(this.createAbortError());
+      };
+
+      signal?.addEventListener('abort', waiter.onAbort, { once: true });
+      state.queue.push(waiter);
+    });
+  }
+
+  // Hand the slot to the next waiter or free it
+  release(host) {
+    const state = this.getHostState(host);
+    const next = state.queue.shift();
+
+    if (next) {
+      next.signal?.removeEventListener('abort', next.onAbort);
+      next.resolve();
+    } else {
+      state.active = Math.max(0, state.active - 1);
+    }
+  }
+
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createAbortError());
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw this.createAbortError();
+    }
+  }
+
+  createAbortError() {
+    const error = new Error('Request aborted');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  isAbortError(error) {
+    return error?.name === 'AbortError';
+  }
+
+  // Current load per host
+  getStats() {
+    const stats = {};
+    this.hosts.forEach((state, host) => {
+      stats[host] = { active: state.active, queued: state.queue.length };
+    });
+    return stats;
+  }
+}
+
+// Create singleton instance
+const requestManager = new RequestManager();
+
+export default requestManager;
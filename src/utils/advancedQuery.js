@@ -0,0 +1,113 @@
+// Structured advanced search query shared by every adapter.
+// All the given fields must match (AND); each adapter translates the object
+// into its own query language.
+//
+// {
+//   text: 'free text',
+//   title, author, subject, publisher, isbn,
+//   yearFrom: 1990, yearTo: 2000,
+//   language: 'es' // ISO 639-1, or 'any'
+// }
+
+export const ADVANCED_QUERY_FIELDS = [
+  'text',
+  'title',
+  'author',
+  'subject',
+  'publisher',
+  'isbn',
+  'yearFrom',
+  'yearTo',
+  'language'
+];
+
+const parseYear = (value) => {
+  const year = parseInt(value, 10);
+  return isNaN(year) ? null : year;
+};
+
+// Trim strings, parse years and drop empty fields
+export const normalizeAdvancedQuery = (query = {}) => {
+  const normalized = {};
+
+  ADVANCED_QUERY_FIELDS.forEach(field => {
+    if (field === 'yearFrom' || field === 'yearTo') {
+      const year = parseYear(query[field]);
+      if (year !== null) normalized[field] = year;
+      return;
+    }
+
+    const value = String(query[field] ?? '').trim();
+    if (value && !(field === 'language' && ['all', 'default'].includes(value))) {
+      normalized[field] = value;
+    }
+  });
+
+  // Accept a reversed range
+  if (normalized.yearFrom && normalized.yearTo && normalized.yearFrom > normalized.yearTo) {
+    [normalized.yearFrom, normalized.yearTo] = [normalized.yearTo, normalized.yearFrom];
+  }
+
+  return normalized;
+};
+
+// True when the query has nothing to search for. Year range and language
+// only narrow a search, they are not enough on their own.
+export const isAdvancedQueryEmpty = (query = {}) => {
+  const normalized = normalizeAdvancedQuery(query);
+  return !['text', 'title', 'author', 'subject', 'publisher', 'isbn'].some(field => normalized[field]);
+};
+
+// Check a book against the year range, for sources that cannot filter by year
+export const matchesYearRange = (book, { yearFrom, yearTo } = {}) => {
+  if (!yearFrom && !yearTo) return true;
+
+  const year = parseYear(String(book?.publishedDate || '').match(/\d{4}/)?.[0]);
+  if (year === null) return false;
+
+  return (!yearFrom || year >= yearFrom) && (!yearTo || year <= yearTo);
+};
+
+// Short human readable summary, e.g. 'author: "Borges" · 1940–1960'
+export const describeAdvancedQuery = (query = {}) => {
+  const normalized = normalizeAdvancedQuery(query);
+  const parts = ['text', 'title', 'author', 'subject', 'publisher', 'isbn']
+    .filter(field => normalized[field])
+    .map(field => (field === 'text' ? normalized.text : `${field}: "${normalized[field]}"`));
+
+  if (normalized.yearFrom || normalized.yearTo) {
+    parts.push(`${normalized.yearFrom || '…'}–${normalized.yearTo || '…'}`);
+  }
+  if (normalized.language && normalized.language !== 'any') {
+    parts.push(normalized.language.toUpperCase());
+  }
+
+  return parts.join(' · ');
+};
+
+// Advanced fields as URL search params (free text stays in `q`)
+export const advancedQueryToParams = (query = {}) => {
+  const normalized = normalizeAdvancedQuery(query);
+  const params = {};
+
+  ADVANCED_QUERY_FIELDS
+    .filter(field => field !== 'text' && normalized[field] !== undefined)
+    .forEach(field => {
+      params[field] = String(normalized[field]);
+    });
+
+  return params;
+};
+
+// Read the advanced fields back from URLSearchParams; null when none are set
+export const advancedQueryFromParams = (searchParams) => {
+  const query = {};
+
+  ADVANCED_QUERY_FIELDS
+    .filter(field => field !== 'text' && searchParams.get(field))
+    .forEach(field => {
+      query[field] = searchParams.get(field);
+    });
+
+  return Object.keys(query).length > 0 ? normalizeAdvancedQuery(query) : null;
+};
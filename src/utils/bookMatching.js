@@ -0,0 +1,165 @@
+// Helpers to decide when two book records describe the same work or edition
+import { normalizeISBN, isSameISBN } from './isbn';
+
+// Lowercase, strip accents and punctuation
+export const normalizeText = (value) => {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+// Title without subtitle, e.g. "Dune: Deluxe Edition" -> "dune"
+export const normalizeTitle = (title) => {
+  return normalizeText(String(title || '').split(':')[0]);
+};
+
+// Author name with its words sorted, so "Herbert, Frank" matches "Frank Herbert"
+export const normalizeAuthor = (author) => {
+  return normalizeText(author)
+    .split(' ')
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+};
+
+// Subtitles that only describe the edition, e.g. "Deluxe Edition", "Edición de bolsillo"
+const EDITION_SUBTITLE = /\b(edition|edicion|ed)\b/;
+
+// Title with its subtitle, which often tells the volumes of a series apart
+// ("Saga: Vol 1", "Saga: Vol 2"). Subtitles naming the edition are dropped.
+const normalizeWorkTitle = (title) => {
+  const [main, ...subtitle] = String(title || '').split(':');
+  const rest = normalizeText(subtitle.join(' '));
+  return rest && !EDITION_SUBTITLE.test(rest) ? normalizeText(`${main} ${rest}`) : normalizeText(main);
+};
+
+// Key shared by every edition of the same work
+export const getWorkKey = (book) => {
+  const title = normalizeWorkTitle(book?.title);
+  if (!title) return '';
+  return `${title}|${normalizeAuthor(book?.authors?.[0])}`;
+};
+
+// Keys under which two records are considered the same book
+export const getBookMatchKeys = (book) => {
+  const keys = [];
+
+  const isbn = normalizeISBN(book?.isbn);
+  if (isbn) {
+    keys.push(`isbn:${isbn}`);
+  }
+
+  const workKey = getWorkKey(book);
+  if (workKey) {
+    keys.push(`title:${workKey}`);
+  }
+
+  return keys;
+};
+
+// Union of two edition lists, de-duplicated by ISBN or source id
+export const mergeEditions = (editions = [], others = []) => {
+  const merged = [];
+  const seen = new Set();
+
+  [...editions, ...others].forEach(edition => {
+    const isbn = normalizeISBN(edition.isbn);
+    const key = isbn ? `isbn:${isbn}` : `${edition.source}:${edition.id}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      merged.push(edition);
+    }
+  });
+
+  return merged;
+};
+
+// The user's copy of a book: same library id, same ISBN (in any format),
+// same work or same title and first author
+export const findLibraryBook = (userBooks = [], book) => {
+  if (!book) return undefined;
+
+  return userBooks.find(ub =>
+    ub.id === `${book.source}_${book.id}` ||
+    isSameISBN(ub.isbn, book.isbn) ||
+    (ub.workId && book.workId && ub.workId === book.workId) ||
+    (ub.title === book.title && ub.authors?.[0] === book.authors?.[0])
+  );
+};
+
+// Minimum similarity of normalized titles and authors for an imported row to
+// be taken as a book already in the library
+const IMPORT_TITLE_SIMILARITY = 0.85;
+const IMPORT_AUTHOR_SIMILARITY = 0.8;
+
+const getBigrams = (text) => {
+  const bigrams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const bigram = text.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+};
+
+// Dice coefficient of the character bigrams of two strings (0-1), tolerant
+// of typos and small differences such as "The Lord of the Rings" vs
+// "Lord of the Rings"
+export const getTextSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const bigramsA = getBigrams(a);
+  const bigramsB = getBigrams(b);
+  let shared = 0;
+  bigramsA.forEach((count, bigram) => {
+    shared += Math.min(count, bigramsB.get(bigram) || 0);
+  });
+
+  return (2 * shared) / (Math.max(a.length - 1, 0) + Math.max(b.length - 1, 0) || 1);
+};
+
+// Author names of an import row ("A, B" text) or a library book (array).
+// The whole text is kept too, so "Herbert, Frank" still reads as one name.
+const getAuthorNames = (authors) => {
+  if (Array.isArray(authors)) return authors.map(normalizeAuthor).filter(Boolean);
+  const text = String(authors || '');
+  return [text, ...text.split(',')].map(normalizeAuthor).filter(Boolean);
+};
+
+// Library book an imported row (ExcelProcessor fields) duplicates: the same
+// ISBN, or a similar title by a similar author. Without authors on either
+// side the titles must match exactly. Returns { book, reason } or null.
+export const findImportMatch = (userBooks = [], row) => {
+  const isbn = normalizeISBN(row?.isbn);
+  if (isbn) {
+    const book = userBooks.find(ub => isSameISBN(ub.isbn, isbn));
+    if (book) return { book, reason: 'isbn' };
+  }
+
+  const title = normalizeTitle(row?.title);
+  if (!title) return null;
+
+  const authors = getAuthorNames(row.authors);
+  let best = null;
+
+  userBooks.forEach(ub => {
+    const titleSimilarity = getTextSimilarity(title, normalizeTitle(ub.title));
+    const ubAuthors = getAuthorNames(ub.authors);
+
+    const matches = authors.length === 0 || ubAuthors.length === 0
+      ? titleSimilarity === 1
+      : titleSimilarity >= IMPORT_TITLE_SIMILARITY && authors.some(author => ubAuthors.some(other => (
+        getTextSimilarity(author, other) >= IMPORT_AUTHOR_SIMILARITY
+      )));
+
+    if (matches && (!best || titleSimilarity > best.similarity)) {
+      best = { book: ub, similarity: titleSimilarity };
+    }
+  });
+
+  return best ? { book: best.book, reason: 'title' } : null;
+};
@@ -0,0 +1,71 @@
+// Library catalogue records in any of the supported formats, detected from
+// their content and mapped to the fields accepted by
+// BookAPIAdapter.createStandardBook
+import { parseMARC, parseMARCXML, marcRecordToBook } from './marcParser';
+import { parseDublinCore, dublinCoreRecordToBook, DC_NAMESPACES } from './dublinCoreParser';
+
+export const RECORD_FORMATS = {
+  MARC: 'marc',
+  MARCXML: 'marcxml',
+  DUBLIN_CORE: 'dublin-core'
+};
+
+const textDecoder = new TextDecoder('utf-8');
+
+// Text content of a file read as ArrayBuffer, when it looks like XML
+const asXMLText = (content) => {
+  if (typeof content === 'string') return content.replace(/^\uFEFF/, '');
+
+  const bytes = content instanceof Uint8Array ? content : new Uint8Array(content);
+  const start = bytes.subarray(0, 64);
+  const firstChar = Array.from(start).find(byte => ![0xef, 0xbb, 0xbf, 0x20, 0x09, 0x0a, 0x0d].includes(byte));
+  return firstChar === 0x3c ? textDecoder.decode(bytes).replace(/^\uFEFF/, '') : null;
+};
+
+// Format of a record file, or null when it is not recognised
+export const detectRecordFormat = (content) => {
+  const text = asXMLText(content);
+
+  if (text === null) {
+    // ISO 2709 records start with a five digit record length
+    const leader = String.fromCharCode(...new Uint8Array(content).subarray(0, 24));
+    return /^\d{5}.{7}\d{5}/.test(leader) ? RECORD_FORMATS.MARC : null;
+  }
+
+  if (/loc\.gov\/MARC21\/slim|<(\w+:)?datafield\b/.test(text)) {
+    return RECORD_FORMATS.MARCXML;
+  }
+  if (DC_NAMESPACES.some(namespace => text.includes(namespace))) {
+    return RECORD_FORMATS.DUBLIN_CORE;
+  }
+  return null;
+};
+
+// Parse a record file (string or ArrayBuffer) into createStandardBook fields.
+// Records without a title are skipped; records without an identifier get
+// one from their position in the file.
+export const parseCatalogRecords = (content) => {
+  const format = detectRecordFormat(content);
+  let books;
+
+  switch (format) {
+    case RECORD_FORMATS.MARC:
+      books = parseMARC(content).map(marcRecordToBook);
+      break;
+    case RECORD_FORMATS.MARCXML:
+      books = parseMARCXML(asXMLText(content)).map(marcRecordToBook);
+      break;
+    case RECORD_FORMATS.DUBLIN_CORE:
+      books = parseDublinCore(asXMLText(content)).map(dublinCoreRecordToBook);
+      break;
+    default:
+      throw new Error('Unrecognised record format: expected MARC 21, MARCXML or Dublin Core');
+  }
+
+  return {
+    format,
+    books: books
+      .map((book, index) => ({ ...book, id: book.id || `record-${index + 1}` }))
+      .filter(book => book.title)
+  };
+};
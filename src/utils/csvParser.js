@@ -0,0 +1,213 @@
+// Streaming CSV parser following RFC 4180: quoted fields may contain the
+// delimiter, line breaks and doubled quotes (""), and records end with CRLF,
+// LF or CR. Files are read in chunks so large files report progress, and
+// the encoding (UTF-8/UTF-16 by BOM, otherwise UTF-8 or Windows-1252) and the
+// delimiter (",", ";", tab or "|") are detected from the first chunk.
+//
+// Rows are passed to onRow as { values, line }, line being the 1-based line
+// of the file where the record starts.
+
+const CHUNK_SIZE = 256 * 1024;
+const DELIMITERS = [',', ';', '\t', '|'];
+// Rows of the first chunk compared to pick the delimiter
+const DELIMITER_SAMPLE_ROWS = 20;
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' }
+];
+
+// Encoding of a file from the bytes it starts with. Without a BOM, text
+// that is not valid UTF-8 is taken as Windows-1252, the encoding Excel
+// uses for CSV in Spanish Windows.
+export const detectEncoding = (bytes) => {
+  const bom = BOMS.find(({ bytes: marker }) => marker.every((byte, i) => bytes[i] === byte));
+  if (bom) {
+    return bom.encoding;
+  }
+
+  try {
+    // stream: a character cut at the end of the sample is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return 'utf-8';
+  } catch (error) {
+    return 'windows-1252';
+  }
+};
+
+// Incremental parser: push() text as it is decoded, end() once done
+export const createCSVParser = ({ delimiter = ',', onRow }) => {
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  // A quote was just read inside a quoted field: either the closing quote
+  // or the first half of an escaped ""
+  let pendingQuote = false;
+  // The previous chunk ended in CR, so a leading LF belongs to it
+  let skipLF = false;
+  let previous = '';
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    values.push(field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    onRow({ values, line: rowLine });
+    values = [];
+  };
+
+  const push = (text) => {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const afterCR = previous === '\r';
+      previous = char;
+
+      if (skipLF) {
+        skipLF = false;
+        if (char === '\n') continue;
+      }
+
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          pendingQuote = true;
+        } else {
+          if (char === '\r' || (char === '\n' && !afterCR)) line++;
+          field += char;
+        }
+      } else if (char === '"' && field.trim() === '') {
+        // Quotes only open a quoted field at its start (spaces before the
+        // quote are dropped); elsewhere they are kept as text
+        field = '';
+        inQuotes = true;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\r' || char === '\n') {
+        endRow();
+        line++;
+        rowLine = line;
+        skipLF = char === '\r';
+      } else {
+        field += char;
+      }
+    }
+  };
+
+  const end = () => {
+    // A file that ends without a final line break still has a last row
+    if (values.length > 0 || field !== '' || inQuotes || pendingQuote) {
+      endRow();
+    }
+  };
+
+  return { push, end };
+};
+
+// Delimiter whose rows, in the sample, have the same number of fields as the
+// first one most often (and the most fields on a tie)
+export const detectDelimiter = (sample) => {
+  let best = { delimiter: ',', score: -1, fields: 0 };
+
+  DELIMITERS.forEach(delimiter => {
+    const rows = [];
+    const parser = createCSVParser({
+      delimiter,
+      onRow: ({ values }) => {
+        if (rows.length < DELIMITER_SAMPLE_ROWS && values.some(value => value.trim())) {
+          rows.push(values.length);
+        }
+      }
+    });
+    parser.push(sample);
+
+    const fields = rows[0] || 0;
+    if (fields < 2) return;
+
+    const score = rows.filter(count => count === fields).length;
+    if (score > best.score || (score === best.score && fields > best.fields)) {
+      best = { delimiter, score, fields };
+    }
+  });
+
+  return best.delimiter;
+};
+
+// Read a slice of a File as bytes
+const readChunk = (file, start, end) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+  reader.onerror = () => reject(new Error('Error leyendo el archivo CSV'));
+  reader.readAsArrayBuffer(file.slice(start, end));
+});
+
+// Parse a CSV File chunk by chunk. onProgress receives the fraction of the
+// file read (0-1). Resolves with the encoding and delimiter used.
+export const parseCSVFile = async (file, { onRow, onProgress, chunkSize = CHUNK_SIZE } = {}) => {
+  let offset = 0;
+  let encoding = null;
+  let decoder = null;
+  let parser = null;
+  let delimiter = null;
+  let lineOffset = 0;
+
+  // Text of a chunk. A file taken as UTF-8 because its first chunk was
+  // (usually plain ASCII) switches to Windows-1252 at the first invalid byte.
+  const decode = (chunk) => {
+    try {
+      return decoder.decode(chunk, { stream: true });
+    } catch (error) {
+      encoding = 'windows-1252';
+      decoder = new TextDecoder(encoding);
+      return decoder.decode(chunk, { stream: true });
+    }
+  };
+
+  do {
+    const chunk = await readChunk(file, offset, offset + chunkSize);
+    offset += chunk.length;
+
+    if (!decoder) {
+      encoding = detectEncoding(chunk);
+      decoder = new TextDecoder(encoding, { fatal: encoding === 'utf-8' });
+    }
+
+    let text = decode(chunk);
+
+    if (!parser) {
+      // The "sep=;" line Excel understands as the delimiter
+      const sepLine = text.match(/^sep=(.)\r?\n/);
+      if (sepLine) {
+        text = text.slice(sepLine[0].length);
+        lineOffset = 1;
+      }
+      delimiter = sepLine ? sepLine[1] : detectDelimiter(text);
+      parser = createCSVParser({
+        delimiter,
+        onRow: (row) => onRow({ ...row, line: row.line + lineOffset })
+      });
+    }
+
+    parser.push(text);
+    if (onProgress) onProgress(file.size ? Math.min(offset / file.size, 1) : 1);
+
+    if (chunk.length === 0) break;
+  } while (offset < file.size);
+
+  parser.push(decoder.decode());
+  parser.end();
+
+  return { encoding, delimiter };
+};
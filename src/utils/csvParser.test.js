@@ -0,0 +1,177 @@
+import { TextDecoder, TextEncoder } from 'util';
+import {
+  createCSVParser,
+  detectDelimiter,
+  detectEncoding,
+  parseCSVFile,
+} from './csvParser';
+
+// jsdom does not provide TextDecoder
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+const parse = (chunks, delimiter = ',') => {
+  const rows = [];
+  const parser = createCSVParser({ delimiter, onRow: row => rows.push(row) });
+  [].concat(chunks).forEach(chunk => parser.push(chunk));
+  parser.end();
+  return rows;
+};
+
+const values = rows => rows.map(row => row.values);
+
+const parseFile = async (parts, options = {}) => {
+  const rows = [];
+  const progress = [];
+  const result = await parseCSVFile(new Blob(parts), {
+    onRow: row => rows.push(row),
+    onProgress: fraction => progress.push(fraction),
+    ...options
+  });
+  return { ...result, rows, progress };
+};
+
+describe('detectEncoding', () => {
+  it('detects the encoding from a BOM', () => {
+    expect(detectEncoding(new Uint8Array([0xef, 0xbb, 0xbf, 0x61]))).toBe('utf-8');
+    expect(detectEncoding(new Uint8Array([0xff, 0xfe, 0x61, 0x00]))).toBe('utf-16le');
+    expect(detectEncoding(new Uint8Array([0xfe, 0xff, 0x00, 0x61]))).toBe('utf-16be');
+  });
+
+  it('takes valid UTF-8 as UTF-8', () => {
+    expect(detectEncoding(new TextEncoder().encode('título,año'))).toBe('utf-8');
+  });
+
+  it('does not fail on a character cut at the end of the sample', () => {
+    const bytes = new TextEncoder().encode('año');
+    expect(detectEncoding(bytes.slice(0, 2))).toBe('utf-8');
+  });
+
+  it('falls back to Windows-1252 for invalid UTF-8', () => {
+    // "año" in Windows-1252
+    expect(detectEncoding(new Uint8Array([0x61, 0xf1, 0x6f]))).toBe('windows-1252');
+  });
+});
+
+describe('createCSVParser', () => {
+  it('splits simple rows', () => {
+    expect(values(parse('a,b,c\n1,2,3\n'))).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  it('keeps the last row without a final line break', () => {
+    expect(values(parse('a,b\n1,2'))).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('keeps empty fields', () => {
+    expect(values(parse(',a,\n'))).toEqual([['', 'a', '']]);
+  });
+
+  it('accepts CRLF, LF and CR line endings', () => {
+    expect(values(parse('a\r\nb\nc\rd'))).toEqual([['a'], ['b'], ['c'], ['d']]);
+  });
+
+  it('does not start a row for a CRLF split across chunks', () => {
+    expect(values(parse(['a,b\r', '\n1,2']))).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('reads delimiters and line breaks inside quoted fields', () => {
+    const rows = parse('"Cien años, de soledad","línea 1\r\nlínea 2"\n');
+    expect(values(rows)).toEqual([['Cien años, de soledad', 'línea 1\r\nlínea 2']]);
+  });
+
+  it('unescapes doubled quotes', () => {
+    expect(values(parse('"El ""Quijote""",""\n'))).toEqual([['El "Quijote"', '']]);
+  });
+
+  it('unescapes doubled quotes split across chunks', () => {
+    expect(values(parse(['"a"', '"b",c\n']))).toEqual([['a"b', 'c']]);
+  });
+
+  it('keeps quotes that do not open a field as text', () => {
+    expect(values(parse('a "b" c,d\n'))).toEqual([['a "b" c', 'd']]);
+  });
+
+  it('drops spaces before an opening quote', () => {
+    expect(values(parse('a,  "b,c"\n'))).toEqual([['a', 'b,c']]);
+  });
+
+  it('reports the line where each record starts', () => {
+    const rows = parse('titulo,notas\n"Libro","una\nnota\r\nlarga"\r\nOtro,x\rÚltimo,y\n');
+    expect(rows.map(row => row.line)).toEqual([1, 2, 5, 6]);
+  });
+
+  it('uses the given delimiter', () => {
+    expect(values(parse('a;"b;c"\tx\n', ';'))).toEqual([['a', 'b;c\tx']]);
+  });
+});
+
+describe('detectDelimiter', () => {
+  it('picks the delimiter that splits rows consistently', () => {
+    expect(detectDelimiter('a,b,c\n1,2,3\n')).toBe(',');
+    expect(detectDelimiter('titulo;autor\n"Uno, dos";Autor\n')).toBe(';');
+    expect(detectDelimiter('a\tb\n1\t2\n')).toBe('\t');
+    expect(detectDelimiter('a|b|c\n1|2|3\n')).toBe('|');
+  });
+
+  it('prefers the delimiter that gives more fields on a tie', () => {
+    expect(detectDelimiter('a;b,c;d\n1;2,3;4\n')).toBe(';');
+  });
+
+  it('defaults to a comma', () => {
+    expect(detectDelimiter('titulo\nUno\n')).toBe(',');
+  });
+});
+
+describe('parseCSVFile', () => {
+  it('parses a UTF-8 file with a BOM and CRLF line endings', async () => {
+    const { rows, encoding, delimiter, progress } = await parseFile(['\uFEFFtítulo;año\r\nÑu;2001\r\n']);
+    expect(encoding).toBe('utf-8');
+    expect(delimiter).toBe(';');
+    expect(values(rows)).toEqual([['título', 'año'], ['Ñu', '2001']]);
+    expect(progress[progress.length - 1]).toBe(1);
+  });
+
+  it('uses the delimiter of a "sep=" line and counts it in line numbers', async () => {
+    const { rows, delimiter } = await parseFile(['sep=|\r\na|b,c\n1|2,3\n']);
+    expect(delimiter).toBe('|');
+    expect(values(rows)).toEqual([['a', 'b,c'], ['1', '2,3']]);
+    expect(rows.map(row => row.line)).toEqual([2, 3]);
+  });
+
+  it('parses a Windows-1252 file', async () => {
+    // "título,año\nÑu,2001\n" in Windows-1252
+    const bytes = new Uint8Array([
+      0x74, 0xed, 0x74, 0x75, 0x6c, 0x6f, 0x2c, 0x61, 0xf1, 0x6f, 0x0a,
+      0xd1, 0x75, 0x2c, 0x32, 0x30, 0x30, 0x31, 0x0a
+    ]);
+    const { rows, encoding } = await parseFile([bytes]);
+    expect(encoding).toBe('windows-1252');
+    expect(values(rows)).toEqual([['título', 'año'], ['Ñu', '2001']]);
+  });
+
+  it('switches to Windows-1252 when a later chunk is not UTF-8', async () => {
+    const ascii = new TextEncoder().encode('titulo,autor\nUno,Ana\n');
+    // "Dos,Nuñez\n" in Windows-1252
+    const latin = new Uint8Array([0x44, 0x6f, 0x73, 0x2c, 0x4e, 0x75, 0xf1, 0x65, 0x7a, 0x0a]);
+    const { rows, encoding } = await parseFile([ascii, latin], { chunkSize: ascii.length });
+    expect(encoding).toBe('windows-1252');
+    expect(values(rows)).toEqual([['titulo', 'autor'], ['Uno', 'Ana'], ['Dos', 'Nuñez']]);
+  });
+
+  it('joins quoted fields and characters split across small chunks', async () => {
+    const text = 'titulo,notas\n"Cien años","uno\r\n""dos"""\nÚltimo,ñ';
+    const { rows, progress } = await parseFile([text], { chunkSize: 3 });
+    expect(values(rows)).toEqual([
+      ['titulo', 'notas'],
+      ['Cien años', 'uno\r\n"dos"'],
+      ['Último', 'ñ']
+    ]);
+    expect(rows.map(row => row.line)).toEqual([1, 2, 4]);
+    expect(progress.length).toBeGreaterThan(1);
+    expect(progress[progress.length - 1]).toBe(1);
+  });
+
+  it('parses an empty file without rows', async () => {
+    const { rows } = await parseFile([]);
+    expect(rows).toEqual([]);
+  });
+});
@@ -0,0 +1,77 @@
+// Dublin Core records (oai_dc, srw_dc, RDF/XML...) mapped to the fields
+// accepted by BookAPIAdapter.createStandardBook. Every element holding
+// dc:* children is read as one record, whatever the wrapper format.
+import { pickISBN, normalizeISBN } from './isbn';
+import { toISO6391 } from './languageCodes';
+import { invertPersonalName } from './marcParser';
+
+export const DC_NAMESPACES = [
+  'http://purl.org/dc/elements/1.1/',
+  'http://purl.org/dc/terms/'
+];
+
+const isDublinCoreElement = (node) => DC_NAMESPACES.includes(node.namespaceURI);
+
+// Parse a Dublin Core document (XML text or parsed document) into records:
+// { [element]: [values] }
+export const parseDublinCore = (input) => {
+  const xml = typeof input === 'string'
+    ? new DOMParser().parseFromString(input, 'application/xml')
+    : input;
+
+  if (xml.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid Dublin Core document');
+  }
+
+  // Group the dc elements by the element that contains them
+  const records = new Map();
+  Array.from(xml.getElementsByTagName('*'))
+    .filter(isDublinCoreElement)
+    .forEach(node => {
+      const container = node.parentNode;
+      if (!records.has(container)) {
+        records.set(container, {});
+      }
+      const record = records.get(container);
+      const value = node.textContent.trim();
+      if (value) {
+        record[node.localName] = [...(record[node.localName] || []), value];
+      }
+    });
+
+  return [...records.values()];
+};
+
+// dc:identifier values look like "urn:isbn:…", "ISBN 84-…" or plain numbers
+const identifierToISBN = (value) => value.replace(/^(urn:)?isbn:?\s*/i, '').trim();
+
+// Fields of a Dublin Core record in the createStandardBook format
+export const dublinCoreRecordToBook = (record) => {
+  const values = (name) => record[name] || [];
+  const first = (name) => values(name)[0] || '';
+
+  const identifiers = values('identifier');
+  const isbn = pickISBN(identifiers.map(identifierToISBN));
+  const otherIdentifier = identifiers.find(value => !normalizeISBN(identifierToISBN(value)));
+
+  // "352 p." in dc:format or dcterms:extent
+  const pages = [...values('format'), ...values('extent')]
+    .map(value => value.match(/(\d+)\s*(p|pág|pp|páginas|pages)\b/i))
+    .find(Boolean);
+
+  const date = first('issued') || first('date') || first('created');
+
+  return {
+    id: otherIdentifier || isbn,
+    title: first('title'),
+    // Library exports write creators as "Surname, Forename"
+    authors: [...new Set(values('creator').map(invertPersonalName))],
+    description: first('description') || first('abstract'),
+    publishedDate: date.match(/^\d{4}(-\d{2}){0,2}/)?.[0] || date,
+    publisher: first('publisher'),
+    pageCount: pages ? parseInt(pages[1], 10) : 0,
+    categories: [...new Set(values('subject'))],
+    language: toISO6391(first('language')),
+    isbn
+  };
+};
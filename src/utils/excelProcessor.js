@@ -1,8 +1,29 @@
 // Excel processing utility for importing books
+import { normalizeISBN } from './isbn';
+import { parseCSVFile } from './csvParser';
+import { detectExportFormat, exportRowToBook, EXPORT_FORMAT_NAMES, EXPORT_HEADERS } from './readingAppExports';
+import BookAPIAdapter from '../services/api/BookAPIAdapter';
+
+// Library catalogue records (MARC 21, MARCXML, Dublin Core)
+const CATALOG_RECORD_EXTENSIONS = ['mrc', 'marc', 'xml'];
+// Workbooks, read with SheetJS
+const WORKBOOK_EXTENSIONS = ['xlsx', 'xls'];
+// Book fields a column can be imported as (normalizeHeaders maps known
+// column names to them)
+export const IMPORT_FIELDS = [
+  'title', 'authors', 'description', 'category', 'publisher', 'publishedDate', 'pageCount',
+  'isbn', 'language', 'rating', 'notes', 'review', 'progress', 'tags'
+];
+const KNOWN_FIELDS = new Set(IMPORT_FIELDS);
+const catalogRecordReader = new BookAPIAdapter('Catalog records', { source: 'imported' });
+
 class ExcelProcessor {
   constructor() {
-    this.supportedExtensions = ['xlsx', 'xls', 'csv'];
+    this.supportedExtensions = [...WORKBOOK_EXTENSIONS, 'csv', ...CATALOG_RECORD_EXTENSIONS];
     this.maxFileSize = 10 * 1024 * 1024; // 10MB
+    // Workbooks already read, so listing the sheets and importing one
+    // reads the file once
+    this.workbooks = new WeakMap();
   }
 
   // Validate file before processing
@@ -45,8 +66,20 @@ class ExcelProcessor {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
 
-  // Process Excel/CSV file
-  async processFile(file) {
+  // Whether the file is an Excel workbook (its sheets can be listed)
+  isWorkbook(file) {
+    return Boolean(file) && WORKBOOK_EXTENSIONS.includes(this.getFileExtension(file.name));
+  }
+
+  // Whether the file has columns to map to book fields (CSV or workbook);
+  // catalogue records already come with their fields
+  isTabular(file) {
+    return this.isWorkbook(file) || this.getFileExtension(file?.name || '') === 'csv';
+  }
+
+  // Process Excel/CSV file. Options: { sheetName } for workbooks and
+  // { onProgress } for CSV files.
+  async processFile(file, options = {}) {
     const validation = this.validateFile(file);
     if (!validation.valid) {
       return {
@@ -61,18 +94,58 @@ class ExcelProcessor {
       let data;
 
       if (extension === 'csv') {
-        data = await this.processCSV(file);
+        data = await this.processCSV(file, options);
+      } else if (CATALOG_RECORD_EXTENSIONS.includes(extension)) {
+        data = await this.processCatalogRecords(file);
       } else {
-        data = await this.processExcel(file);
+        data = await this.processExcel(file, options);
       }
 
+      return this.toProcessResult(data);
+    } catch (error) {
+      console.error('Error processing file:', error);
+      return {
+        success: false,
+        errors: [error.message],
+        data: []
+      };
+    }
+  }
+
+  // Read the columns and rows of a CSV file or workbook sheet, for the
+  // column mapping step, with the mapping guessed from the column names.
+  // format is set for exports of reading apps, which need no mapping.
+  // Options as in processFile.
+  async readTable(file, options = {}) {
+    const validation = this.validateFile(file);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    try {
+      const table = this.getFileExtension(file.name) === 'csv'
+        ? await this.readCSVTable(file, options)
+        : await this.readExcelTable(file, options);
+
+      const format = detectExportFormat(table.columns);
       return {
         success: true,
-        data: data.books,
-        headers: data.headers,
-        rowCount: data.books.length,
-        errors: data.errors || []
+        ...table,
+        format: format ? { id: format, name: EXPORT_FORMAT_NAMES[format] } : null,
+        mapping: this.guessMapping(table.columns)
       };
+    } catch (error) {
+      console.error('Error reading file:', error);
+      return { success: false, errors: [error.message] };
+    }
+  }
+
+  // Map the rows of a table read by readTable with the mapping chosen
+  // (one field or null per column), or without one for exports of reading
+  // apps; same result as processFile
+  processTable(table, mapping = null) {
+    try {
+      return this.toProcessResult(this.mapTable(table, mapping));
     } catch (error) {
       console.error('Error processing file:', error);
       return {
@@ -83,84 +156,335 @@ class ExcelProcessor {
     }
   }
 
-  // Process CSV file
-  async processCSV(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      
-      reader.onload = (e) => {
-        try {
-          const csv = e.target.result;
-          const lines = csv.split('\n').filter(line => line.trim());
-          
-          if (lines.length === 0) {
-            throw new Error('El archivo CSV está vacío');
-          }
+  // processFile result of the books of a file
+  toProcessResult(data) {
+    return {
+      success: true,
+      data: data.books,
+      headers: data.headers,
+      rowCount: data.books.length,
+      errors: data.errors || [],
+      warnings: data.warnings || []
+    };
+  }
 
-          // Parse headers
-          const headers = this.parseCSVLine(lines[0]);
-          const normalizedHeaders = this.normalizeHeaders(headers);
-          
-          // Parse data rows
-          const books = [];
-          const errors = [];
-
-          for (let i = 1; i < lines.length; i++) {
-            try {
-              const values = this.parseCSVLine(lines[i]);
-              if (values.length > 0 && values.some(val => val.trim())) {
-                const book = this.mapRowToBook(normalizedHeaders, values, i + 1);
-                books.push(book);
-              }
-            } catch (error) {
-              errors.push(`Fila ${i + 1}: ${error.message}`);
-            }
-          }
+  // Field of each column guessed from its name; unknown columns are ignored
+  guessMapping(columns) {
+    return this.normalizeHeaders(columns).map(field => (KNOWN_FIELDS.has(field) ? field : null));
+  }
 
-          resolve({ books, headers: normalizedHeaders, errors });
-        } catch (error) {
-          reject(error);
-        }
-      };
+  // Books of a table. Without a mapping, exports of reading apps
+  // (Goodreads, StoryGraph) are read by their importer and other tables with
+  // the guessed mapping.
+  mapTable(table, mapping = null) {
+    const format = mapping ? null : detectExportFormat(table.columns);
+    const fields = mapping || this.guessMapping(table.columns);
+
+    if (!format && !fields.includes('title')) {
+      throw new Error('Ninguna columna está asignada al título');
+    }
+
+    const books = [];
+    const errors = [];
+    // Rows imported with a value left out
+    const warnings = [];
 
-      reader.onerror = () => reject(new Error('Error leyendo el archivo CSV'));
-      reader.readAsText(file, 'UTF-8');
+    table.rows.forEach(({ values, line }) => {
+      try {
+        const book = format ? this.mapExportRow(format, table.columns, values) : this.mapRowToBook(fields, values, line);
+        if (book.invalidIsbn) {
+          warnings.push(`Fila ${line}: el ISBN ${book.invalidIsbn} no es válido, el libro se importa sin ISBN`);
+        }
+        books.push(book);
+      } catch (error) {
+        errors.push(`Fila ${line}: ${error.message}`);
+      }
     });
+
+    return { books, headers: format ? EXPORT_HEADERS : fields.filter(Boolean), errors, warnings };
   }
 
-  // Process Excel file (requires external library in real implementation)
-  async processExcel(file) {
-    // For now, we'll return a mock implementation
-    // In a real app, you'd use a library like 'xlsx' or 'exceljs'
-    throw new Error('Procesamiento de Excel no implementado aún. Por favor, use formato CSV.');
+  // Map a row of a Goodreads or StoryGraph export
+  mapExportRow(format, columns, values) {
+    const book = exportRowToBook(format, columns, values);
+
+    if (!book.title) {
+      throw new Error('El título es obligatorio');
+    }
+
+    return book;
   }
 
-  // Parse CSV line handling quoted values
-  parseCSVLine(line) {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          current += '"';
-          i++; // Skip next quote
+  // Process CSV file with the guessed mapping (or its importer, for exports
+  // of reading apps)
+  async processCSV(file, options = {}) {
+    return this.mapTable(await this.readCSVTable(file, options));
+  }
+
+  // Columns and rows of a CSV file, streamed in chunks. The encoding and the
+  // delimiter are detected; onProgress receives the fraction of the file read.
+  async readCSVTable(file, { onProgress } = {}) {
+    let columns = null;
+    const rows = [];
+
+    await parseCSVFile(file, {
+      onProgress,
+      onRow: ({ values, line }) => {
+        const row = values.map(value => value.trim());
+        if (!row.some(Boolean)) return;
+
+        if (columns) {
+          rows.push({ values: row, line });
         } else {
-          inQuotes = !inQuotes;
+          columns = row;
         }
-      } else if (char === ',' && !inQuotes) {
-        values.push(current.trim());
-        current = '';
-      } else {
-        current += char;
       }
+    });
+
+    if (!columns) {
+      throw new Error('El archivo CSV está vacío');
     }
-    
-    values.push(current.trim());
-    return values;
+
+    return { columns, rows };
+  }
+
+  // Process a file of library catalogue records: the records are read as
+  // standard books and flattened to the same rows a CSV produces
+  async processCatalogRecords(file) {
+    const content = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(new Error('Error leyendo el archivo de registros'));
+      reader.readAsArrayBuffer(file);
+    });
+
+    let books;
+    try {
+      books = catalogRecordReader.parseCatalogRecords(content);
+    } catch (error) {
+      throw new Error(`No se han podido leer los registros (MARC 21, MARCXML o Dublin Core): ${error.message}`);
+    }
+
+    if (books.length === 0) {
+      throw new Error('El archivo no contiene registros con título');
+    }
+
+    return {
+      books: books.map(book => this.standardBookToRow(book)),
+      headers: ['title', 'authors', 'categories', 'publishedDate', 'publisher', 'pageCount', 'isbn', 'language', 'description'],
+      errors: []
+    };
+  }
+
+  // Import row for a book in the createStandardBook format
+  standardBookToRow(book) {
+    const row = {
+      title: book.title,
+      authors: book.authors.join(', '),
+      categories: book.categories.join(', '),
+      publishedDate: book.publishedDate,
+      publisher: book.publisher,
+      description: book.description,
+      language: book.language,
+      isbn: book.isbn
+    };
+
+    if (book.pageCount) {
+      row.pageCount = book.pageCount;
+    }
+
+    // Same as mapRowToBook: empty values are left out
+    return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== ''));
+  }
+
+  // Read a workbook (.xlsx, .xls) with SheetJS
+  async readWorkbook(file) {
+    if (this.workbooks.has(file)) {
+      return this.workbooks.get(file);
+    }
+
+    const content = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(new Error('Error leyendo el archivo Excel'));
+      reader.readAsArrayBuffer(file);
+    });
+
+    // Loaded on demand: SheetJS is only needed when importing workbooks
+    const XLSX = await import('xlsx');
+    let workbook;
+    try {
+      workbook = XLSX.read(new Uint8Array(content), { type: 'array', cellNF: true });
+    } catch (error) {
+      throw new Error(`No se ha podido leer el libro de Excel: ${error.message}`);
+    }
+
+    const result = { XLSX, workbook };
+    this.workbooks.set(file, result);
+    return result;
+  }
+
+  // Visible sheets of a workbook with the number of rows that have data
+  async listSheets(file) {
+    const { XLSX, workbook } = await this.readWorkbook(file);
+    const hidden = new Set((workbook.Workbook?.Sheets || [])
+      .filter(sheet => sheet.Hidden)
+      .map(sheet => sheet.name));
+
+    return workbook.SheetNames
+      .filter(name => !hidden.has(name))
+      .map(name => ({
+        name,
+        rowCount: this.sheetToRows(XLSX, workbook.Sheets[name])
+          .filter(row => row.some(value => value !== '')).length
+      }));
+  }
+
+  // Process a sheet of an Excel workbook with the guessed mapping
+  async processExcel(file, options = {}) {
+    return this.mapTable(await this.readExcelTable(file, options));
+  }
+
+  // Columns and rows of a sheet of an Excel workbook (the first one with
+  // data unless sheetName is given), like readCSVTable
+  async readExcelTable(file, { sheetName } = {}) {
+    const { XLSX, workbook } = await this.readWorkbook(file);
+
+    let name = sheetName;
+    if (!name) {
+      const sheets = await this.listSheets(file);
+      name = (sheets.find(sheet => sheet.rowCount > 0) || sheets[0])?.name;
+    }
+
+    const sheet = workbook.Sheets[name];
+    if (!sheet) {
+      throw new Error(sheetName ? `La hoja "${sheetName}" no existe en el libro` : 'El libro de Excel no tiene hojas');
+    }
+
+    const rows = this.sheetToRows(XLSX, sheet);
+    const headerRow = rows.findIndex(row => row.some(value => value !== ''));
+    if (headerRow === -1) {
+      throw new Error(`La hoja "${name}" está vacía`);
+    }
+
+    const { columns, rowCount } = this.readSheetHeader(rows, headerRow, sheet['!merges'] || []);
+    const tableRows = [];
+
+    for (let i = headerRow + rowCount; i < rows.length; i++) {
+      // Columns under one merged header (e.g. first name and surname under
+      // "Autor") are joined into one value
+      const values = columns.map(column => column.indexes
+        .map(index => rows[i][index])
+        .filter(value => value !== '')
+        .join(' '));
+
+      if (values.some(value => value.trim())) {
+        tableRows.push({ values, line: i + 1 });
+      }
+    }
+
+    return { columns: columns.map(column => column.header), rows: tableRows };
+  }
+
+  // Cell values of a sheet as rows of strings. Numbers and dates keep their
+  // type until here: dates become YYYY-MM-DD, percentages 0-100 and the
+  // cells of a merged range all take the value of its first cell.
+  sheetToRows(XLSX, sheet) {
+    if (!sheet['!ref']) {
+      return [];
+    }
+
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const rows = [];
+
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const row = [];
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        row.push(this.formatCellValue(XLSX, sheet[XLSX.utils.encode_cell({ r, c })]));
+      }
+      rows.push(row);
+    }
+
+    (sheet['!merges'] || []).forEach(merge => {
+      const value = rows[merge.s.r - range.s.r]?.[merge.s.c - range.s.c] ?? '';
+      for (let r = merge.s.r; r <= merge.e.r; r++) {
+        for (let c = merge.s.c; c <= merge.e.c; c++) {
+          if (rows[r - range.s.r]) {
+            rows[r - range.s.r][c - range.s.c] = value;
+          }
+        }
+      }
+    });
+
+    return rows;
+  }
+
+  // Text of a typed cell
+  formatCellValue(XLSX, cell) {
+    if (!cell || cell.v === undefined || cell.v === null || cell.t === 'e' || cell.t === 'z') {
+      return '';
+    }
+
+    if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+      // Date serial, decoded without going through the local time zone
+      const date = XLSX.SSF.parse_date_code(cell.v);
+      if (date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.y}-${pad(date.m)}-${pad(date.d)}`;
+      }
+    }
+
+    if (cell.t === 'n') {
+      if (cell.z && String(cell.z).includes('%')) {
+        return String(Math.round(cell.v * 100));
+      }
+      // Whole numbers as digits, so long ISBNs are not shown as 9.78E+12
+      return Number.isInteger(cell.v) ? cell.v.toFixed(0) : String(cell.v);
+    }
+
+    return String(cell.v).trim();
+  }
+
+  // Columns of a sheet from its header. A header cell merged over several
+  // rows, or a merged group header over a row of known column names
+  // ("Datos del libro" over "Título", "Autor"...), makes a two-row header.
+  // A merged header over columns without names of their own (or a known
+  // name over parts, like "Autor" over "Nombre" and "Apellidos") reads
+  // those columns as one.
+  readSheetHeader(rows, headerRow, merges) {
+    const top = rows[headerRow];
+    const next = rows[headerRow + 1] || [];
+    const spans = merges.filter(merge => merge.s.r === headerRow);
+    const isKnown = (header) => header !== '' && KNOWN_FIELDS.has(this.normalizeHeaders([header])[0]);
+
+    const groups = spans.filter(merge => merge.e.c > merge.s.c);
+    const hasSubheader = spans.some(merge => merge.e.r > merge.s.r)
+      || (groups.length > 0 && groups.every(merge => {
+        const subheaders = next.slice(merge.s.c, merge.e.c + 1);
+        return subheaders.every(isKnown) && new Set(subheaders).size === subheaders.length;
+      }));
+
+    const columns = [];
+    for (let c = 0; c < top.length; c++) {
+      const group = groups.find(merge => merge.s.c <= c && c <= merge.e.c);
+      const groupHeader = top[c];
+
+      if (group && (!hasSubheader || isKnown(groupHeader) || !isKnown(next[c]))) {
+        if (c === group.s.c) {
+          const indexes = [];
+          for (let i = group.s.c; i <= group.e.c; i++) indexes.push(i);
+          columns.push({ header: groupHeader, indexes });
+        }
+        continue;
+      }
+
+      const header = (hasSubheader && next[c]) || groupHeader;
+      if (header !== '') {
+        columns.push({ header, indexes: [c] });
+      }
+    }
+
+    return { columns, rowCount: hasSubheader ? 2 : 1 };
   }
 
   // Normalize headers to standard field names
@@ -290,7 +614,14 @@ class ExcelProcessor {
             book.language = value;
             break;
           case 'isbn':
-            book.isbn = value;
+            // Hyphenated or ISBN-10 values are stored as ISBN-13. A value with a
+            // wrong check digit is kept apart, as typed, so it can be fixed later
+            const isbn = normalizeISBN(value);
+            if (isbn) {
+              book.isbn = isbn;
+            } else {
+              book.invalidIsbn = value;
+            }
             break;
           case 'rating':
             const rating = parseFloat(value);
@@ -314,8 +645,8 @@ class ExcelProcessor {
             book.tags = value;
             break;
           default:
-            // Store custom fields
-            book[header] = value;
+            // Ignored column
+            break;
         }
       }
     }
@@ -2,7 +2,7 @@
 class ImageCache {
   constructor() {
     this.cache = new Map();
-    this.loading = new Set();
+    this.loading = new Map(); // In-flight loads by cache key
     this.maxCacheSize = 200; // Maximum number of cached images
     this.cacheDuration = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
   }
@@ -36,14 +36,18 @@ class ImageCache {
       }
     }
 
-    // Check if already loading
-    if (this.loading.has(cacheKey)) {
-      return this.getPlaceholderImage();
+    // Cards asking for an image that is already loading share its load,
+    // so a card mounted again while it loads still gets the image
+    if (!this.loading.has(cacheKey)) {
+      this.loading.set(cacheKey, this.loadAndCache(imageUrl, cacheKey, fallbackUrl));
     }
 
-    // Load and cache image
+    return this.loading.get(cacheKey);
+  }
+
+  // Load an image and store it in the cache
+  async loadAndCache(imageUrl, cacheKey, fallbackUrl) {
     try {
-      this.loading.add(cacheKey);
       const dataUrl = await this.loadImageAsDataUrl(imageUrl);
       
       // Clean cache if it's getting too large
@@ -0,0 +1,82 @@
+// ISBN validation, normalization and ISBN-10/ISBN-13 conversion.
+// ISBN-13 without hyphens is the canonical form used across the app.
+
+// Keep digits and the ISBN-10 "X" check character
+export const cleanISBN = (value) => {
+  return String(value || '').toUpperCase().replace(/[^0-9X]/g, '');
+};
+
+export const calculateISBN10CheckDigit = (digits) => {
+  const sum = digits
+    .slice(0, 9)
+    .split('')
+    .reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+export const calculateISBN13CheckDigit = (digits) => {
+  const sum = digits
+    .slice(0, 12)
+    .split('')
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+export const isValidISBN10 = (value) => {
+  const isbn = cleanISBN(value);
+  return /^\d{9}[\dX]$/.test(isbn) && calculateISBN10CheckDigit(isbn) === isbn[9];
+};
+
+export const isValidISBN13 = (value) => {
+  const isbn = cleanISBN(value);
+  return /^97[89]\d{10}$/.test(isbn) && calculateISBN13CheckDigit(isbn) === isbn[12];
+};
+
+export const isValidISBN = (value) => isValidISBN10(value) || isValidISBN13(value);
+
+// ISBN-10 -> ISBN-13 (978 prefix). Returns '' for invalid input.
+export const isbn10To13 = (value) => {
+  if (!isValidISBN10(value)) return '';
+  const base = `978${cleanISBN(value).slice(0, 9)}`;
+  return base + calculateISBN13CheckDigit(base);
+};
+
+// ISBN-13 -> ISBN-10. Only 978 ISBNs have an ISBN-10; returns '' otherwise.
+export const isbn13To10 = (value) => {
+  const isbn = cleanISBN(value);
+  if (!isValidISBN13(isbn) || !isbn.startsWith('978')) return '';
+  const base = isbn.slice(3, 12);
+  return base + calculateISBN10CheckDigit(base);
+};
+
+// Canonical ISBN-13 for any valid ISBN, '' when the value is not a valid ISBN
+export const normalizeISBN = (value) => {
+  const isbn = cleanISBN(value);
+  if (isValidISBN13(isbn)) return isbn;
+  if (isValidISBN10(isbn)) return isbn10To13(isbn);
+  return '';
+};
+
+// First valid ISBN of a list, normalized ('' if none is valid)
+export const pickISBN = (values = []) => {
+  for (const value of values) {
+    const isbn = normalizeISBN(value);
+    if (isbn) return isbn;
+  }
+  return '';
+};
+
+// Both forms of an ISBN, useful to query sources that index only one of them
+export const getISBNVariants = (value) => {
+  const isbn13 = normalizeISBN(value);
+  if (!isbn13) return [];
+  return [isbn13, isbn13To10(isbn13)].filter(Boolean);
+};
+
+// True when both values are valid ISBNs of the same edition,
+// e.g. "978-84-376-0494-7", "9788437604947" and "84-376-0494-X"
+export const isSameISBN = (a, b) => {
+  const first = normalizeISBN(a);
+  return Boolean(first) && first === normalizeISBN(b);
+};
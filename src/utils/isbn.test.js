@@ -0,0 +1,113 @@
+import {
+  calculateISBN10CheckDigit,
+  calculateISBN13CheckDigit,
+  cleanISBN,
+  getISBNVariants,
+  isbn10To13,
+  isbn13To10,
+  isSameISBN,
+  isValidISBN,
+  isValidISBN10,
+  isValidISBN13,
+  normalizeISBN,
+  pickISBN,
+} from './isbn';
+
+describe('cleanISBN', () => {
+  it('keeps digits and an upper-case X', () => {
+    expect(cleanISBN(' 84-376-0494-x ')).toBe('843760494X');
+    expect(cleanISBN('ISBN 978 84 376 0494 7')).toBe('9788437604947');
+    expect(cleanISBN(null)).toBe('');
+  });
+});
+
+describe('check digits', () => {
+  it('computes ISBN-10 check digits, including X for 10', () => {
+    expect(calculateISBN10CheckDigit('030640615')).toBe('2');
+    expect(calculateISBN10CheckDigit('843760494')).toBe('X');
+    expect(calculateISBN10CheckDigit('080442957')).toBe('X');
+  });
+
+  it('computes ISBN-13 check digits, including 0', () => {
+    expect(calculateISBN13CheckDigit('978030640615')).toBe('7');
+    expect(calculateISBN13CheckDigit('978843760494')).toBe('7');
+    expect(calculateISBN13CheckDigit('979109063607')).toBe('1');
+    expect(calculateISBN13CheckDigit('978000000004')).toBe('0');
+    expect(calculateISBN13CheckDigit('978186197271')).toBe('2');
+  });
+});
+
+describe('validation', () => {
+  it('accepts ISBN-10 with a correct check digit', () => {
+    expect(isValidISBN10('0-306-40615-2')).toBe(true);
+    expect(isValidISBN10('84-376-0494-X')).toBe(true);
+    expect(isValidISBN10('0-306-40615-3')).toBe(false);
+    expect(isValidISBN10('X306406152')).toBe(false);
+    expect(isValidISBN10('030640615')).toBe(false);
+  });
+
+  it('accepts ISBN-13 with a 978/979 prefix and a correct check digit', () => {
+    expect(isValidISBN13('978-0-306-40615-7')).toBe(true);
+    expect(isValidISBN13('979-10-90636-07-1')).toBe(true);
+    expect(isValidISBN13('978-0-306-40615-8')).toBe(false);
+    expect(isValidISBN13('9770306406157')).toBe(false);
+  });
+
+  it('accepts either form', () => {
+    expect(isValidISBN('0306406152')).toBe(true);
+    expect(isValidISBN('9780306406157')).toBe(true);
+    expect(isValidISBN('12345')).toBe(false);
+    expect(isValidISBN('')).toBe(false);
+  });
+});
+
+describe('conversion', () => {
+  it('converts ISBN-10 to ISBN-13', () => {
+    expect(isbn10To13('0-306-40615-2')).toBe('9780306406157');
+    expect(isbn10To13('84-376-0494-X')).toBe('9788437604947');
+    expect(isbn10To13('0306406153')).toBe('');
+  });
+
+  it('converts 978 ISBN-13 to ISBN-10', () => {
+    expect(isbn13To10('9780306406157')).toBe('0306406152');
+    expect(isbn13To10('9788437604947')).toBe('843760494X');
+  });
+
+  it('has no ISBN-10 for 979 ISBNs', () => {
+    expect(isbn13To10('9791090636071')).toBe('');
+    expect(getISBNVariants('979-10-90636-07-1')).toEqual(['9791090636071']);
+  });
+
+  it('returns both forms of a 978 ISBN', () => {
+    expect(getISBNVariants('84-376-0494-X')).toEqual(['9788437604947', '843760494X']);
+    expect(getISBNVariants('not an isbn')).toEqual([]);
+  });
+});
+
+describe('normalizeISBN', () => {
+  it('returns the hyphen-free ISBN-13', () => {
+    expect(normalizeISBN('978-84-376-0494-7')).toBe('9788437604947');
+    expect(normalizeISBN('84-376-0494-x')).toBe('9788437604947');
+    expect(normalizeISBN('9788437604948')).toBe('');
+  });
+});
+
+describe('pickISBN', () => {
+  it('returns the first valid ISBN, normalized', () => {
+    expect(pickISBN(['', '123', '0-306-40615-2', '9788437604947'])).toBe('9780306406157');
+    expect(pickISBN(['123'])).toBe('');
+    expect(pickISBN()).toBe('');
+  });
+});
+
+describe('isSameISBN', () => {
+  it('matches the ISBN-10 and ISBN-13 of the same edition', () => {
+    expect(isSameISBN('978-84-376-0494-7', '84-376-0494-X')).toBe(true);
+    expect(isSameISBN('9788437604947', '9780306406157')).toBe(false);
+  });
+
+  it('never matches invalid values', () => {
+    expect(isSameISBN('', '')).toBe(false);
+    expect(isSameISBN('123', '123')).toBe(false);
+  });
+});
@@ -0,0 +1,58 @@
+// Conversion between the MARC 21 / ISO 639-2 three-letter language codes used
+// by Open Library and library records, and the ISO 639-1 codes used in the app
+
+const MARC_TO_ISO6391 = {
+  spa: 'es',
+  eng: 'en',
+  fre: 'fr',
+  fra: 'fr',
+  ger: 'de',
+  deu: 'de',
+  ita: 'it',
+  por: 'pt',
+  cat: 'ca',
+  glg: 'gl',
+  baq: 'eu',
+  eus: 'eu',
+  dut: 'nl',
+  nld: 'nl',
+  rus: 'ru',
+  chi: 'zh',
+  zho: 'zh',
+  jpn: 'ja',
+  kor: 'ko',
+  ara: 'ar',
+  pol: 'pl',
+  swe: 'sv',
+  dan: 'da',
+  nor: 'no',
+  fin: 'fi',
+  gre: 'el',
+  ell: 'el',
+  tur: 'tr',
+  heb: 'he',
+  hin: 'hi',
+  lat: 'la',
+  cze: 'cs',
+  ces: 'cs',
+  hun: 'hu',
+  rum: 'ro',
+  ron: 'ro',
+  ukr: 'uk'
+};
+
+// Normalize a language code to ISO 639-1 when a mapping is known.
+// Accepts "spa", "/languages/spa", "es", "es-ES"...
+export const toISO6391 = (code) => {
+  const value = String(code || '').trim().toLowerCase().replace('/languages/', '');
+  if (!value) return '';
+  if (MARC_TO_ISO6391[value]) return MARC_TO_ISO6391[value];
+  if (/^[a-z]{2}([-_][a-z]{2})?$/.test(value)) return value.slice(0, 2);
+  return value;
+};
+
+// ISO 639-1 to the MARC code Open Library expects in queries
+export const toMARCLanguage = (code) => {
+  const value = toISO6391(code);
+  return Object.keys(MARC_TO_ISO6391).find(marc => MARC_TO_ISO6391[marc] === value) || value;
+};
@@ -0,0 +1,221 @@
+// MARC 21 bibliographic records, as ISO 2709 binary files (.mrc) or MARCXML,
+// parsed into a common record shape and mapped to the fields accepted by
+// BookAPIAdapter.createStandardBook.
+//
+// Record shape:
+//   { leader, fields: [{ tag, value }                         control fields
+//                      { tag, ind1, ind2, subfields: [{ code, value }] }] }
+import { pickISBN } from './isbn';
+import { toISO6391 } from './languageCodes';
+
+const RECORD_TERMINATOR = 0x1d;
+const FIELD_TERMINATOR = 0x1e;
+const SUBFIELD_DELIMITER = 0x1f;
+
+const LEADER_LENGTH = 24;
+const DIRECTORY_ENTRY_LENGTH = 12;
+
+const utf8Decoder = new TextDecoder('utf-8');
+// MARC-8 has no native decoder; latin1 keeps ASCII intact and combining
+// diacritics as separate characters
+const latin1Decoder = new TextDecoder('iso-8859-1');
+
+const isControlTag = (tag) => /^00\d$/.test(tag);
+
+// Split a binary MARC file into its records (one per 0x1D terminator)
+export const parseMARC = (input) => {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const records = [];
+
+  let start = 0;
+  for (let i = 0; i <= bytes.length; i++) {
+    if (i === bytes.length || bytes[i] === RECORD_TERMINATOR) {
+      const chunk = bytes.subarray(start, i);
+      // Skip line breaks some tools add between records
+      const offset = chunk.findIndex(byte => byte !== 0x0a && byte !== 0x0d);
+      if (offset >= 0 && chunk.length - offset >= LEADER_LENGTH) {
+        records.push(parseMARCRecord(chunk.subarray(offset)));
+      }
+      start = i + 1;
+    }
+  }
+
+  return records;
+};
+
+// One ISO 2709 record: leader, directory and variable fields
+const parseMARCRecord = (bytes) => {
+  const leader = latin1Decoder.decode(bytes.subarray(0, LEADER_LENGTH));
+  const baseAddress = parseInt(leader.slice(12, 17), 10);
+
+  if (isNaN(baseAddress) || baseAddress > bytes.length) {
+    throw new Error('Invalid MARC record: bad base address of data');
+  }
+
+  // Leader position 9: "a" means UCS/Unicode, blank means MARC-8
+  const decoder = leader[9] === 'a' ? utf8Decoder : latin1Decoder;
+  const fields = [];
+
+  for (let entry = LEADER_LENGTH; entry + DIRECTORY_ENTRY_LENGTH <= baseAddress; entry += DIRECTORY_ENTRY_LENGTH) {
+    if (bytes[entry] === FIELD_TERMINATOR) break;
+
+    const directory = latin1Decoder.decode(bytes.subarray(entry, entry + DIRECTORY_ENTRY_LENGTH));
+    const tag = directory.slice(0, 3);
+    if (!/^\d{9}$/.test(directory.slice(3))) {
+      throw new Error(`Invalid MARC record: bad directory entry for ${tag}`);
+    }
+    const length = parseInt(directory.slice(3, 7), 10);
+    const position = parseInt(directory.slice(7, 12), 10);
+
+    let data = bytes.subarray(baseAddress + position, baseAddress + position + length);
+    if (data[data.length - 1] === FIELD_TERMINATOR) {
+      data = data.subarray(0, data.length - 1);
+    }
+
+    if (isControlTag(tag)) {
+      fields.push({ tag, value: decoder.decode(data) });
+      continue;
+    }
+
+    const [indicators, ...parts] = splitBytes(data, SUBFIELD_DELIMITER);
+    const indicatorText = latin1Decoder.decode(indicators).padEnd(2, ' ');
+
+    fields.push({
+      tag,
+      ind1: indicatorText[0],
+      ind2: indicatorText[1],
+      subfields: parts
+        .filter(part => part.length > 0)
+        .map(part => ({
+          code: String.fromCharCode(part[0]),
+          value: decoder.decode(part.subarray(1))
+        }))
+    });
+  }
+
+  return { leader, fields };
+};
+
+const splitBytes = (bytes, separator) => {
+  const parts = [];
+  let start = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] === separator) {
+      parts.push(bytes.subarray(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(bytes.subarray(start));
+  return parts;
+};
+
+// MARCXML (http://www.loc.gov/MARC21/slim): a <collection> of <record>s or
+// a single <record>. Accepts the XML text or a parsed document.
+export const parseMARCXML = (input) => {
+  const xml = typeof input === 'string'
+    ? new DOMParser().parseFromString(input, 'application/xml')
+    : input;
+
+  if (xml.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid MARCXML document');
+  }
+
+  const elements = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+
+  return elements(xml, 'record').map(record => ({
+    leader: elements(record, 'leader')[0]?.textContent || '',
+    fields: Array.from(record.children)
+      .filter(node => node.localName === 'controlfield' || node.localName === 'datafield')
+      .map(node => {
+        const tag = node.getAttribute('tag');
+        if (node.localName === 'controlfield') {
+          return { tag, value: node.textContent };
+        }
+        return {
+          tag,
+          ind1: node.getAttribute('ind1') || ' ',
+          ind2: node.getAttribute('ind2') || ' ',
+          subfields: elements(node, 'subfield').map(subfield => ({
+            code: subfield.getAttribute('code'),
+            value: subfield.textContent
+          }))
+        };
+      })
+  }));
+};
+
+// Trailing ISBD punctuation (" /", " :", ";", ",", ".") and brackets added by
+// cataloguers
+export const cleanMARCValue = (value) => String(value || '')
+  .replace(/[[\]]/g, '')
+  .replace(/\s*[/:;,=.]+\s*$/, '')
+  .trim();
+
+// "Cervantes Saavedra, Miguel de" -> "Miguel de Cervantes Saavedra"
+export const invertPersonalName = (name) => {
+  const value = cleanMARCValue(name);
+  const parts = value.split(',').map(part => part.trim()).filter(Boolean);
+  return parts.length === 2 ? `${parts[1]} ${parts[0]}` : value;
+};
+
+const getFields = (record, tags) => record.fields.filter(field => tags.includes(field.tag));
+
+const getSubfields = (field, codes) => (field?.subfields || [])
+  .filter(subfield => codes.includes(subfield.code))
+  .map(subfield => subfield.value);
+
+const getControlValue = (record, tag) => record.fields.find(field => field.tag === tag)?.value || '';
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+// Fields of a MARC record in the createStandardBook format
+export const marcRecordToBook = (record) => {
+  const fixedData = getControlValue(record, '008');
+
+  const titleField = getFields(record, ['245'])[0];
+  const title = cleanMARCValue(getSubfields(titleField, ['a', 'b', 'n', 'p']).map(cleanMARCValue).join(': '));
+
+  // Personal names (x00) are "Surname, Forename" when the first indicator is 1
+  const authors = unique(getFields(record, ['100', '110', '111', '700', '710', '711']).map(field => {
+    const name = getSubfields(field, ['a']).join(' ');
+    return field.tag.endsWith('00') && field.ind1 === '1'
+      ? invertPersonalName(name)
+      : cleanMARCValue(name);
+  }));
+
+  // RDA records use 264 (second indicator 1 = publication), older ones 260
+  const publication = getFields(record, ['264']).find(field => field.ind2 === '1')
+    || getFields(record, ['260', '264'])[0];
+  const publisher = cleanMARCValue(getSubfields(publication, ['b'])[0]);
+  const dateStatement = getSubfields(publication, ['c'])[0] || '';
+  const fixedYear = /^\d{4}$/.test(fixedData.slice(7, 11)) ? fixedData.slice(7, 11) : '';
+  const publishedDate = dateStatement.match(/\d{4}/)?.[0] || fixedYear;
+
+  // 020 $a may carry qualifiers: "9788437604947 (rústica)"
+  const isbn = pickISBN(getFields(record, ['020'])
+    .flatMap(field => getSubfields(field, ['a']))
+    .map(value => value.trim().split(/\s+/)[0]));
+
+  const categories = unique(getFields(record, ['600', '610', '611', '630', '650', '651', '655'])
+    .map(field => cleanMARCValue(getSubfields(field, ['a'])[0])));
+
+  // 041 $a may pack several codes ("spaeng"); the first one is the text language
+  const languageCode = getSubfields(getFields(record, ['041'])[0], ['a'])[0]?.slice(0, 3)
+    || fixedData.slice(35, 38).trim();
+  const language = /^[a-z]{3}$/i.test(languageCode) ? toISO6391(languageCode) : '';
+
+  const pages = getSubfields(getFields(record, ['300'])[0], ['a'])[0]?.match(/(\d+)\s*(p|pág|pp|páginas|pages)/i);
+
+  return {
+    id: cleanMARCValue(getControlValue(record, '001')) || isbn,
+    title,
+    authors,
+    description: getFields(record, ['520']).map(field => getSubfields(field, ['a']).join(' ')).join('\n\n'),
+    publishedDate,
+    publisher,
+    pageCount: pages ? parseInt(pages[1], 10) : 0,
+    categories,
+    language,
+    isbn
+  };
+};
@@ -0,0 +1,163 @@
+/**
+ * @jest-environment node
+ */
+import {
+  cleanMARCValue,
+  invertPersonalName,
+  marcRecordToBook,
+  parseMARC,
+} from './marcParser';
+
+const FIELD_TERMINATOR = '\x1e';
+const RECORD_TERMINATOR = '\x1d';
+const SUBFIELD_DELIMITER = '\x1f';
+
+const latin1 = text => Uint8Array.from(text, char => char.charCodeAt(0));
+const utf8 = text => new TextEncoder().encode(text);
+
+const concat = (parts) => {
+  const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((offset, part) => {
+    bytes.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return bytes;
+};
+
+const pad = (number, length) => String(number).padStart(length, '0');
+
+// ISO 2709 record whose directory lengths and offsets are counted in bytes
+// of the chosen encoding. reverseDirectory lists the entries in the opposite
+// order of the data, which the standard allows.
+const buildRecord = (fields, { unicode = true, reverseDirectory = false } = {}) => {
+  const encode = unicode ? utf8 : latin1;
+  const data = fields.map(field => encode((field.subfields
+    ? field.ind1 + field.ind2 + field.subfields.map(([code, value]) => SUBFIELD_DELIMITER + code + value).join('')
+    : field.value) + FIELD_TERMINATOR));
+
+  let position = 0;
+  const entries = fields.map((field, i) => {
+    const entry = field.tag + pad(data[i].length, 4) + pad(position, 5);
+    position += data[i].length;
+    return entry;
+  });
+  if (reverseDirectory) entries.reverse();
+
+  const directory = latin1(entries.join('') + FIELD_TERMINATOR);
+  const baseAddress = 24 + directory.length;
+  const length = baseAddress + position + 1;
+  const leader = latin1(`${pad(length, 5)}nam ${unicode ? 'a' : ' '}22${pad(baseAddress, 5)}   4500`);
+
+  return concat([leader, directory, ...data, latin1(RECORD_TERMINATOR)]);
+};
+
+const QUIJOTE = [
+  { tag: '001', value: 'bne-000123' },
+  { tag: '008', value: '050101s2004    sp            000 1 spa d' },
+  { tag: '020', ind1: ' ', ind2: ' ', subfields: [['a', '84-376-0494-X (rústica)']] },
+  { tag: '100', ind1: '1', ind2: ' ', subfields: [['a', 'Cervantes Saavedra, Miguel de,'], ['d', '1547-1616']] },
+  { tag: '245', ind1: '1', ind2: '0', subfields: [['a', 'El ingenioso hidalgo don Quijote de la Mancha :'], ['b', 'edición del IV centenario /'], ['c', 'Miguel de Cervantes.']] },
+  { tag: '264', ind1: ' ', ind2: '1', subfields: [['a', 'Madrid :'], ['b', 'Cátedra,'], ['c', '[2004]']] },
+  { tag: '300', ind1: ' ', ind2: ' ', subfields: [['a', '1250 páginas ;'], ['c', '18 cm']] },
+  { tag: '650', ind1: ' ', ind2: '4', subfields: [['a', 'Novela española.']] },
+  { tag: '700', ind1: '1', ind2: ' ', subfields: [['a', 'Rico, Francisco,'], ['e', 'editor literario']] }
+];
+
+describe('parseMARC', () => {
+  it('reads fields at the byte offsets of the directory in a UTF-8 record', () => {
+    const [record] = parseMARC(buildRecord(QUIJOTE));
+
+    expect(record.leader).toHaveLength(24);
+    expect(record.fields.map(field => field.tag)).toEqual(QUIJOTE.map(field => field.tag));
+    expect(record.fields[0]).toEqual({ tag: '001', value: 'bne-000123' });
+    // Fields after multi-byte characters ("ú", "á") keep their offsets
+    expect(record.fields[5]).toEqual({
+      tag: '264',
+      ind1: ' ',
+      ind2: '1',
+      subfields: [
+        { code: 'a', value: 'Madrid :' },
+        { code: 'b', value: 'Cátedra,' },
+        { code: 'c', value: '[2004]' }
+      ]
+    });
+    expect(record.fields[8].subfields[1]).toEqual({ code: 'e', value: 'editor literario' });
+  });
+
+  it('reads a MARC-8 record byte by byte', () => {
+    const [record] = parseMARC(buildRecord([
+      { tag: '001', value: '42' },
+      { tag: '245', ind1: '0', ind2: '0', subfields: [['a', 'Poesía']] },
+      { tag: '650', ind1: ' ', ind2: '0', subfields: [['a', 'Poetry']] }
+    ], { unicode: false }));
+
+    expect(record.leader[9]).toBe(' ');
+    expect(record.fields[1].subfields).toEqual([{ code: 'a', value: 'Poesía' }]);
+    expect(record.fields[2].subfields).toEqual([{ code: 'a', value: 'Poetry' }]);
+  });
+
+  it('follows the directory when it is not in data order', () => {
+    const [record] = parseMARC(buildRecord(QUIJOTE.slice(0, 3), { reverseDirectory: true }));
+
+    expect(record.fields.map(field => field.tag)).toEqual(['020', '008', '001']);
+    expect(record.fields[0].subfields).toEqual([{ code: 'a', value: '84-376-0494-X (rústica)' }]);
+    expect(record.fields[2]).toEqual({ tag: '001', value: 'bne-000123' });
+  });
+
+  it('splits a file into its records, skipping line breaks between them', () => {
+    const file = concat([
+      buildRecord([{ tag: '001', value: 'uno' }]),
+      utf8('\r\n'),
+      buildRecord([{ tag: '001', value: 'dos' }]),
+      utf8('\n')
+    ]);
+
+    expect(parseMARC(file.buffer).map(record => record.fields[0].value)).toEqual(['uno', 'dos']);
+  });
+
+  it('rejects a base address beyond the record', () => {
+    const bytes = buildRecord([{ tag: '001', value: 'x' }]);
+    bytes.set(latin1('99999'), 12);
+
+    expect(() => parseMARC(bytes)).toThrow('bad base address');
+  });
+
+  it('rejects a directory entry that is not numeric', () => {
+    const bytes = buildRecord([{ tag: '001', value: 'x' }]);
+    bytes.set(latin1('00x2'), 24 + 3);
+
+    expect(() => parseMARC(bytes)).toThrow('bad directory entry for 001');
+  });
+});
+
+describe('marcRecordToBook', () => {
+  it('maps a record to the book fields', () => {
+    const [record] = parseMARC(buildRecord(QUIJOTE));
+
+    expect(marcRecordToBook(record)).toEqual({
+      id: 'bne-000123',
+      title: 'El ingenioso hidalgo don Quijote de la Mancha: edición del IV centenario',
+      authors: ['Miguel de Cervantes Saavedra', 'Francisco Rico'],
+      description: '',
+      publishedDate: '2004',
+      publisher: 'Cátedra',
+      pageCount: 1250,
+      categories: ['Novela española'],
+      language: 'es',
+      isbn: '9788437604947'
+    });
+  });
+});
+
+describe('MARC value cleanup', () => {
+  it('drops ISBD punctuation and brackets', () => {
+    expect(cleanMARCValue('Madrid :')).toBe('Madrid');
+    expect(cleanMARCValue('[2004].')).toBe('2004');
+    expect(cleanMARCValue(undefined)).toBe('');
+  });
+
+  it('inverts "Surname, Forename" names', () => {
+    expect(invertPersonalName('Cervantes Saavedra, Miguel de,')).toBe('Miguel de Cervantes Saavedra');
+    expect(invertPersonalName('Homero')).toBe('Homero');
+  });
+});
@@ -0,0 +1,23 @@
+// Opaque pagination cursors shared by the adapters and BookService.
+// A cursor is base64-encoded JSON; callers must treat it as a black box and
+// only pass back the `nextCursor` they received.
+
+export const DEFAULT_PAGE_SIZE = 20;
+
+export const encodeCursor = (state) => {
+  if (!state) return null;
+  return btoa(JSON.stringify(state));
+};
+
+// Returns the cursor state, or null for a missing or malformed cursor
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+
+  try {
+    const state = JSON.parse(atob(cursor));
+    return state && typeof state === 'object' ? state : null;
+  } catch (error) {
+    console.warn('Ignoring invalid pagination cursor');
+    return null;
+  }
+};
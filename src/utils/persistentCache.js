@@ -0,0 +1,294 @@
+// Persistent cache for API responses backed by IndexedDB
+// Entries have a fresh TTL and a stale window: stale entries can still be
+// served while a fresh copy is fetched (stale-while-revalidate). The store is
+// bounded by entry count and approximate size, evicting the least recently
+// used entries first. The count and size are read once and then kept up to
+// date on every write, so writes do not scan the store. When IndexedDB is
+// unavailable every call is a no-op.
+class PersistentCache {
+  constructor({
+    dbName = 'bibliofinder-cache',
+    storeName = 'entries',
+    maxEntries = 500,
+    maxBytes = 5 * 1024 * 1024 // 5MB
+  } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.dbPromise = null;
+    // { count, bytes } of the stored entries, loaded on the first write
+    this.totalsPromise = null;
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  // Open (and create) the database once
+  open() {
+    if (!this.isSupported()) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        const request = indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+          store.createIndex('lastAccess', 'lastAccess');
+          store.createIndex('namespace', 'namespace');
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('Persistent cache unavailable:', request.error);
+          resolve(null);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  // Run a callback inside a transaction and resolve with its request result
+  async withStore(mode, callback) {
+    const db = await this.open();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const store = transaction.objectStore(this.storeName);
+      const request = callback(store);
+
+      transaction.oncomplete = () => resolve(request?.result ?? null);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Get an entry: { data, isStale, createdAt } or null when missing/expired
+  async get(key) {
+    try {
+      const entry = await this.withStore('readonly', store => store.get(key));
+      if (!entry) return null;
+
+      const now = Date.now();
+      if (now > entry.staleUntil) {
+        this.delete(key);
+        return null;
+      }
+
+      // Touch for LRU without blocking the caller. The entry is read again in
+      // the same transaction and only its lastAccess changes, so a newer
+      // value written since the read above is not overwritten.
+      this.withStore('readwrite', store => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          const current = request.result;
+          if (current && current.createdAt === entry.createdAt) {
+            store.put({ ...current, lastAccess: now });
+          }
+        };
+        return request;
+      }).catch(() => {});
+
+      return {
+        data: entry.data,
+        isStale: now > entry.expiresAt,
+        createdAt: entry.createdAt
+      };
+    } catch (error) {
+      console.warn('Persistent cache read error:', error);
+      return null;
+    }
+  }
+
+  // Store an entry. ttl: fresh lifetime, staleTtl: extra time it may be served stale
+  async set(key, data, { ttl = 5 * 60 * 1000, staleTtl = 0, namespace = 'default' } = {}) {
+    try {
+      const now = Date.now();
+      const size = JSON.stringify(data).length;
+
+      if (size > this.maxBytes) {
+        return false;
+      }
+
+      const totals = await this.getTotals();
+      let previous = null;
+
+      // The entry it replaces is read in the same transaction to keep the
+      // totals right
+      await this.withStore('readwrite', store => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          previous = request.result;
+          store.put({
+            key,
+            namespace,
+            data,
+            size,
+            createdAt: now,
+            lastAccess: now,
+            expiresAt: now + ttl,
+            staleUntil: now + ttl + staleTtl
+          });
+        };
+        return request;
+      });
+
+      totals.count += previous ? 0 : 1;
+      totals.bytes += size - (previous?.size || 0);
+
+      await this.enforceLimits();
+      return true;
+    } catch (error) {
+      console.warn('Persistent cache write error:', error);
+      return false;
+    }
+  }
+
+  async delete(key) {
+    try {
+      const totals = await this.getTotals();
+      let removed = null;
+
+      await this.withStore('readwrite', store => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          removed = request.result;
+          if (removed) store.delete(key);
+        };
+        return request;
+      });
+
+      if (removed) {
+        totals.count--;
+        totals.bytes -= removed.size || 0;
+      }
+    } catch (error) {
+      console.warn('Persistent cache delete error:', error);
+    }
+  }
+
+  // Clear everything, or only one namespace
+  async clear(namespace = null) {
+    try {
+      if (!namespace) {
+        await this.withStore('readwrite', store => store.clear());
+        this.totalsPromise = Promise.resolve({ count: 0, bytes: 0 });
+        return;
+      }
+
+      const entries = await this.getAllEntries();
+      await this.withStore('readwrite', store => {
+        entries
+          .filter(entry => entry.namespace === namespace)
+          .forEach(entry => store.delete(entry.key));
+      });
+      // Read again on the next write
+      this.totalsPromise = null;
+    } catch (error) {
+      console.warn('Persistent cache clear error:', error);
+      this.totalsPromise = null;
+    }
+  }
+
+  async getAllEntries() {
+    return (await this.withStore('readonly', store => store.getAll())) || [];
+  }
+
+  // Entry count and size of the store. The whole store is read only the
+  // first time; writes keep the totals up to date afterwards.
+  getTotals() {
+    if (!this.totalsPromise) {
+      this.totalsPromise = this.getAllEntries().then(entries => ({
+        count: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0)
+      }));
+      this.totalsPromise.catch(() => {
+        this.totalsPromise = null;
+      });
+    }
+    return this.totalsPromise;
+  }
+
+  // Evict least recently used entries, walking the lastAccess index from the
+  // oldest, until the store fits in maxEntries and maxBytes. Expired entries
+  // are dropped when reached by the walk or read.
+  async enforceLimits() {
+    const totals = await this.getTotals();
+    const fits = () => totals.count <= this.maxEntries && totals.bytes <= this.maxBytes;
+
+    if (fits()) {
+      return;
+    }
+
+    const now = Date.now();
+    await this.withStore('readwrite', store => {
+      const request = store.index('lastAccess').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || (fits() && now <= cursor.value.staleUntil)) {
+          return;
+        }
+
+        totals.count--;
+        totals.bytes -= cursor.value.size || 0;
+        cursor.delete();
+        cursor.continue();
+      };
+      return request;
+    });
+  }
+
+  // Summary of the stored entries
+  async getStats() {
+    const now = Date.now();
+    const entries = await this.getAllEntries();
+    const byNamespace = {};
+    let totalBytes = 0;
+
+    entries.forEach(entry => {
+      byNamespace[entry.namespace] = (byNamespace[entry.namespace] || 0) + 1;
+      totalBytes += entry.size || 0;
+    });
+
+    return {
+      supported: this.isSupported(),
+      totalEntries: entries.length,
+      freshEntries: entries.filter(entry => now <= entry.expiresAt).length,
+      staleEntries: entries.filter(entry => now > entry.expiresAt && now <= entry.staleUntil).length,
+      byNamespace,
+      approximateSize: totalBytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes
+    };
+  }
+
+  // Entry metadata (without data) for inspection, most recently used first
+  async inspect(namespace = null) {
+    const now = Date.now();
+    const entries = await this.getAllEntries();
+
+    return entries
+      .filter(entry => !namespace || entry.namespace === namespace)
+      .sort((a, b) => b.lastAccess - a.lastAccess)
+      .map(({ key, namespace: entryNamespace, size, createdAt, lastAccess, expiresAt, staleUntil }) => ({
+        key,
+        namespace: entryNamespace,
+        size,
+        createdAt,
+        lastAccess,
+        expiresAt,
+        staleUntil,
+        isStale: now > expiresAt
+      }));
+  }
+}
+
+// Create singleton instance
+const persistentCache = new PersistentCache();
+
+export default persistentCache;
@@ -0,0 +1,137 @@
+// Library exports of reading apps (Goodreads, StoryGraph), detected from
+// their CSV columns and mapped to the book fields produced by
+// ExcelProcessor.mapRowToBook, plus the shelf (categoryId) and the dates the
+// book was added and read.
+import { pickISBN } from './isbn';
+
+export const EXPORT_FORMATS = {
+  GOODREADS: 'goodreads',
+  STORYGRAPH: 'storygraph'
+};
+
+export const EXPORT_FORMAT_NAMES = {
+  [EXPORT_FORMATS.GOODREADS]: 'Goodreads',
+  [EXPORT_FORMATS.STORYGRAPH]: 'StoryGraph'
+};
+
+// Columns that identify each export
+const SIGNATURES = {
+  [EXPORT_FORMATS.GOODREADS]: ['Book Id', 'Title', 'Exclusive Shelf', 'My Rating'],
+  [EXPORT_FORMATS.STORYGRAPH]: ['Title', 'Read Status', 'Star Rating', 'ISBN/UID']
+};
+
+// Reading status of the exports -> default category
+const STATUS_CATEGORIES = {
+  'to-read': 'to-read',
+  'currently-reading': 'reading',
+  'paused': 'reading',
+  'read': 'read'
+};
+
+// Fields of the books of an export, as listed by the import preview
+export const EXPORT_HEADERS = [
+  'title', 'authors', 'isbn', 'publisher', 'publishedDate', 'pageCount',
+  'rating', 'categoryId', 'tags', 'addedAt', 'finishedAt', 'review', 'notes'
+];
+
+// Spreadsheets export ISBNs as ="0439023483" so they keep their leading zeros
+const unwrapFormula = (value) => String(value || '').trim().replace(/^="?(.*?)"?$/, '$1');
+
+// 2015/03/14 -> 2015-03-14; '' when there is no date
+const toISODate = (value) => {
+  const match = String(value || '').match(/(\d{4})[/-](\d{1,2})[/-](\d{1,2})/);
+  return match ? `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}` : '';
+};
+
+// Reviews are exported as HTML
+const htmlToText = (value) => String(value || '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&amp;/g, '&')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .trim();
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const toRating = (value) => {
+  const rating = parseFloat(value);
+  // Goodreads exports 0 for books without a rating
+  return rating > 0 && rating <= 5 ? rating : null;
+};
+
+const toPageCount = (value) => {
+  const pages = parseInt(value, 10);
+  return pages > 0 ? pages : null;
+};
+
+const compact = (book) => Object.fromEntries(
+  Object.entries(book).filter(([, value]) => value !== null && value !== undefined && value !== '')
+);
+
+const goodreadsRowToBook = (row) => {
+  const shelf = row['Exclusive Shelf'];
+  // Custom shelves are listed in Bookshelves along with the exclusive ones.
+  // A custom exclusive shelf (did-not-finish) has no category, so it is kept
+  // as a tag like the StoryGraph statuses.
+  const customShelves = [...new Set([
+    ...splitList(row['Bookshelves']),
+    ...(shelf ? [shelf] : [])
+  ])].filter(name => !STATUS_CATEGORIES[name]);
+
+  return compact({
+    title: row['Title'],
+    authors: [row['Author'], ...splitList(row['Additional Authors'])].filter(Boolean).join(', '),
+    isbn: pickISBN([unwrapFormula(row['ISBN13']), unwrapFormula(row['ISBN'])]),
+    publisher: row['Publisher'],
+    publishedDate: row['Year Published'] || row['Original Publication Year'],
+    pageCount: toPageCount(row['Number of Pages']),
+    personalRating: toRating(row['My Rating']),
+    categoryId: STATUS_CATEGORIES[shelf],
+    tags: customShelves.join(', '),
+    addedAt: toISODate(row['Date Added']),
+    finishedAt: toISODate(row['Date Read']),
+    review: htmlToText(row['My Review']),
+    notes: row['Private Notes']
+  });
+};
+
+const storyGraphRowToBook = (row) => {
+  const status = row['Read Status'];
+  // Statuses without a category (did-not-finish) are kept as a tag
+  const tags = [...splitList(row['Tags']), ...(status && !STATUS_CATEGORIES[status] ? [status] : [])];
+
+  return compact({
+    title: row['Title'],
+    authors: row['Authors'],
+    isbn: pickISBN([unwrapFormula(row['ISBN/UID'])]),
+    personalRating: toRating(row['Star Rating']),
+    categoryId: STATUS_CATEGORIES[status],
+    tags: tags.join(', '),
+    addedAt: toISODate(row['Date Added']),
+    finishedAt: toISODate(row['Last Date Read']),
+    review: htmlToText(row['Review'])
+  });
+};
+
+const ROW_MAPPERS = {
+  [EXPORT_FORMATS.GOODREADS]: goodreadsRowToBook,
+  [EXPORT_FORMATS.STORYGRAPH]: storyGraphRowToBook
+};
+
+// Format of an export from its column names, or null when it is not one
+export const detectExportFormat = (columns) => {
+  const names = new Set(columns.map(column => String(column || '').trim()));
+  return Object.keys(SIGNATURES).find(format => SIGNATURES[format].every(column => names.has(column))) || null;
+};
+
+// Book fields of a row of an export (values in column order)
+export const exportRowToBook = (format, columns, values) => {
+  const row = {};
+  columns.forEach((column, index) => {
+    row[String(column || '').trim()] = String(values[index] ?? '').trim();
+  });
+  return ROW_MAPPERS[format](row);
+};
@@ -0,0 +1,176 @@
+// Facets that narrow the loaded search results on the client: publication
+// year and page count ranges, categories, languages, minimum average rating
+// and "has cover". The state lives in the /search URL so a filtered search
+// can be bookmarked and shared.
+//
+// {
+//   yearFrom, yearTo,       // numbers or null
+//   categories: [],         // any of them
+//   languages: [],          // ISO 639-1 codes, any of them
+//   minRating,              // number or null
+//   pagesFrom, pagesTo,     // numbers or null
+//   hasCover: false
+// }
+
+export const EMPTY_FACETS = {
+  yearFrom: null,
+  yearTo: null,
+  categories: [],
+  languages: [],
+  minRating: null,
+  pagesFrom: null,
+  pagesTo: null,
+  hasCover: false
+};
+
+// Minimum ratings offered by the rating facet
+export const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// URL params of the facets; ranges are written as "from-to"
+const FACET_PARAMS = ['years', 'categories', 'languages', 'rating', 'pages', 'cover'];
+
+// Publication year of a standard book, null when unknown
+export const getBookYear = (book) => {
+  const match = String(book?.publishedDate || '').match(/\d{4}/);
+  return match ? Number(match[0]) : null;
+};
+
+const getPageCount = (book) => (Number(book?.pageCount) > 0 ? Number(book.pageCount) : null);
+
+const hasCover = (book) => Boolean(book?.imageLinks?.thumbnail);
+
+const inRange = (value, from, to) => {
+  if (from === null && to === null) return true;
+  if (value === null) return false;
+  return (from === null || value >= from) && (to === null || value <= to);
+};
+
+// Test of each facet; a facet that is not set lets every book through
+const FACET_MATCHERS = {
+  years: (book, facets) => inRange(getBookYear(book), facets.yearFrom, facets.yearTo),
+  categories: (book, facets) => facets.categories.length === 0
+    || (book.categories || []).some(category => facets.categories.includes(category)),
+  languages: (book, facets) => facets.languages.length === 0 || facets.languages.includes(book.language),
+  rating: (book, facets) => facets.minRating === null || (Number(book.averageRating) || 0) >= facets.minRating,
+  pages: (book, facets) => inRange(getPageCount(book), facets.pagesFrom, facets.pagesTo),
+  cover: (book, facets) => !facets.hasCover || hasCover(book)
+};
+
+const matchesFacets = (book, facets, except = null) => Object.keys(FACET_MATCHERS)
+  .every(facet => facet === except || FACET_MATCHERS[facet](book, facets));
+
+export const isFacetStateEmpty = (facets) => (
+  facets.yearFrom === null && facets.yearTo === null
+  && facets.categories.length === 0
+  && facets.languages.length === 0
+  && facets.minRating === null
+  && facets.pagesFrom === null && facets.pagesTo === null
+  && !facets.hasCover
+);
+
+// Books that pass every facet
+export const applyFacets = (books, facets) => books.filter(book => matchesFacets(book, facets));
+
+// Count the values of a field, most frequent first
+const countValues = (books, getValues) => {
+  const counts = new Map();
+  books.forEach(book => {
+    new Set(getValues(book)).forEach(value => {
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+  return [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count);
+};
+
+// Bounds of a numeric field over the books, null when no book has it
+const getBounds = (books, getValue) => {
+  const values = books.map(getValue).filter(value => value !== null);
+  return values.length > 0 ? { min: Math.min(...values), max: Math.max(...values) } : null;
+};
+
+// Options and counts of every facet. The counts of a facet apply the other
+// facets but not its own, so its options stay selectable; selected values
+// are listed even when nothing matches them any more.
+export const computeFacets = (books, facets) => {
+  const others = (facet) => books.filter(book => matchesFacets(book, facets, facet));
+  const keepSelected = (options, selected) => [
+    ...options,
+    ...selected.filter(value => !options.some(option => option.value === value)).map(value => ({ value, count: 0 }))
+  ];
+
+  const yearBooks = others('years');
+  const pageBooks = others('pages');
+  const ratingBooks = others('rating');
+
+  return {
+    years: {
+      bounds: getBounds(books, getBookYear),
+      count: yearBooks.filter(book => FACET_MATCHERS.years(book, facets)).length
+    },
+    categories: keepSelected(countValues(others('categories'), book => book.categories || []), facets.categories),
+    languages: keepSelected(countValues(others('languages'), book => [book.language]), facets.languages),
+    ratings: RATING_THRESHOLDS.map(value => ({
+      value,
+      count: ratingBooks.filter(book => (Number(book.averageRating) || 0) >= value).length
+    })),
+    pages: {
+      bounds: getBounds(books, getPageCount),
+      count: pageBooks.filter(book => FACET_MATCHERS.pages(book, facets)).length
+    },
+    cover: {
+      count: others('cover').filter(hasCover).length
+    }
+  };
+};
+
+const parseNumber = (value) => {
+  const number = Number(value);
+  return value !== '' && value !== null && value !== undefined && Number.isFinite(number) ? number : null;
+};
+
+const parseRange = (value) => {
+  const [from = '', to = ''] = String(value || '').split('-');
+  return [parseNumber(from), parseNumber(to)];
+};
+
+const formatRange = (from, to) => (from === null && to === null ? null : `${from ?? ''}-${to ?? ''}`);
+
+// Facet state read from URLSearchParams
+export const facetsFromParams = (searchParams) => {
+  const [yearFrom, yearTo] = parseRange(searchParams.get('years'));
+  const [pagesFrom, pagesTo] = parseRange(searchParams.get('pages'));
+
+  return {
+    yearFrom,
+    yearTo,
+    categories: searchParams.getAll('categories').filter(Boolean),
+    languages: searchParams.getAll('languages').filter(Boolean),
+    minRating: parseNumber(searchParams.get('rating')),
+    pagesFrom,
+    pagesTo,
+    hasCover: searchParams.get('cover') === '1'
+  };
+};
+
+// URLSearchParams without the facet params, i.e. just the search
+export const withoutFacetParams = (searchParams) => {
+  const params = new URLSearchParams(searchParams);
+  FACET_PARAMS.forEach(param => params.delete(param));
+  return params;
+};
+
+// Copy of the URLSearchParams with the facet params replaced by the given state
+export const withFacetParams = (searchParams, facets) => {
+  const params = withoutFacetParams(searchParams);
+  const years = formatRange(facets.yearFrom, facets.yearTo);
+  const pages = formatRange(facets.pagesFrom, facets.pagesTo);
+
+  if (years) params.set('years', years);
+  facets.categories.forEach(category => params.append('categories', category));
+  facets.languages.forEach(language => params.append('languages', language));
+  if (facets.minRating !== null) params.set('rating', String(facets.minRating));
+  if (pages) params.set('pages', pages);
+  if (facets.hasCover) params.set('cover', '1');
+
+  return params;
+};
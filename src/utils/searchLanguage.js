@@ -0,0 +1,40 @@
+// Language preference for book searches.
+// Search options take `language`: an ISO 639-1 code, ANY_LANGUAGE for no
+// restriction, or nothing to use the preference, which is the language of
+// the user profile when set and the interface language (i18n) otherwise.
+import i18n from '../i18n';
+import { toISO6391 } from './languageCodes';
+
+export const ANY_LANGUAGE = 'any';
+
+// Books whose source does not report a language
+export const UNKNOWN_LANGUAGE = '';
+
+let profileLanguage = null;
+
+const normalizeLanguage = (language) => {
+  const value = String(language).trim().toLowerCase();
+  return value === ANY_LANGUAGE || value === 'all' ? ANY_LANGUAGE : toISO6391(value);
+};
+
+// Called by AuthContext with the `language` of the signed in user's profile
+export const setProfileLanguage = (language) => {
+  profileLanguage = language ? normalizeLanguage(language) : null;
+};
+
+export const getPreferredLanguage = () => {
+  if (profileLanguage) {
+    return profileLanguage;
+  }
+
+  const interfaceLanguage = toISO6391(i18n.resolvedLanguage || i18n.language);
+  return interfaceLanguage || ANY_LANGUAGE;
+};
+
+// Turn a `language` search option into an ISO 639-1 code or ANY_LANGUAGE
+export const resolveSearchLanguage = (language) => {
+  if (!language || language === 'default') {
+    return getPreferredLanguage();
+  }
+  return normalizeLanguage(language);
+};
@@ -0,0 +1,79 @@
+// A search as the SearchPage runs it, in a form that can be stored (history,
+// saved searches) and turned into /search URL params to run it again.
+//
+// {
+//   query: 'free text',
+//   searchType: 'general' | 'title' | 'author' | 'isbn' | 'subject',
+//   filters: { language, source, sortBy },
+//   advanced: { ...advanced query fields } | null
+// }
+import {
+  normalizeAdvancedQuery,
+  isAdvancedQueryEmpty,
+  describeAdvancedQuery,
+  advancedQueryToParams,
+  advancedQueryFromParams
+} from './advancedQuery';
+
+export const DEFAULT_SEARCH_TYPE = 'general';
+export const DEFAULT_SOURCE = 'all';
+export const DEFAULT_SORT = 'relevance';
+
+// Drop defaults and empty values so equal searches compare equal
+export const normalizeSearch = ({ query = '', searchType, filters = {}, advanced = null } = {}) => {
+  const normalizedAdvanced = advanced && !isAdvancedQueryEmpty({ ...advanced, text: query })
+    ? normalizeAdvancedQuery(advanced)
+    : null;
+
+  return {
+    query: String(query).trim(),
+    searchType: normalizedAdvanced ? DEFAULT_SEARCH_TYPE : (searchType || DEFAULT_SEARCH_TYPE),
+    filters: {
+      language: filters.language || '',
+      source: filters.source || DEFAULT_SOURCE,
+      sortBy: filters.sortBy || DEFAULT_SORT
+    },
+    advanced: normalizedAdvanced
+  };
+};
+
+// Identity of a search, used to de-duplicate the history
+export const getSearchKey = (search) => JSON.stringify(normalizeSearch(search));
+
+// One-line label: the query or the advanced fields
+export const describeSearch = (search) => {
+  const { query, advanced } = normalizeSearch(search);
+  return advanced ? describeAdvancedQuery({ ...advanced, text: query }) : query;
+};
+
+// URL params of /search for a search
+export const searchToParams = (search) => {
+  const { query, searchType, filters, advanced } = normalizeSearch(search);
+  const params = {};
+
+  if (query) params.q = query;
+  if (searchType !== DEFAULT_SEARCH_TYPE) params.type = searchType;
+  if (filters.language) params.lang = filters.language;
+  if (filters.source !== DEFAULT_SOURCE) params.source = filters.source;
+  if (filters.sortBy !== DEFAULT_SORT) params.sort = filters.sortBy;
+
+  return { ...params, ...advancedQueryToParams(advanced || {}) };
+};
+
+// Search described by URLSearchParams; filters not in the URL are left out
+export const searchFromParams = (searchParams) => ({
+  query: searchParams.get('q') || '',
+  searchType: searchParams.get('type') || DEFAULT_SEARCH_TYPE,
+  filters: {
+    language: searchParams.get('lang') || undefined,
+    source: searchParams.get('source') || undefined,
+    sortBy: searchParams.get('sort') || undefined
+  },
+  advanced: advancedQueryFromParams(searchParams)
+});
+
+// /search URL that runs the search again
+export const getSearchURL = (search) => {
+  const params = new URLSearchParams(searchToParams(search));
+  return `/search?${params.toString()}`;
+};